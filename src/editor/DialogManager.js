@@ -7,13 +7,244 @@ const DRAG_OFFSET_X = 300; // X offset when dragging tab to new window
 const DRAG_OFFSET_Y = 20; // Y offset when dragging tab to new window
 const BASE_Z_INDEX = 10000; // Base z-index for dialog containers
 const MERGE_HOVER_DELAY = 300; // Milliseconds to hover before merge is enabled
+const LAYOUT_VERSION = 1; // Format version of serialized layouts
+const DOCKED_Z_INDEX = BASE_Z_INDEX - 3; // Docked panels stay below floating containers
+const DOCK_EDGE_THRESHOLD = 24; // Pixels from a viewport edge that count as docking there
+const DOCK_HOVER_DELAY = 400; // Milliseconds at an edge before docking is enabled
+const DOCK_MIN_SIZE = 150; // Minimum width or height of a docked edge
+const DOCK_MAX_RATIO = 0.5; // Maximum share of the viewport a docked edge can take
+const DOCK_MIN_PANEL_LENGTH = 80; // Minimum length of a panel sharing an edge
+const SPLITTER_SIZE = 6; // Thickness of docked panel splitters
+const PREVIEW_Z_INDEX = BASE_Z_INDEX * 10; // Drop previews show above everything
+const MENU_Z_INDEX = PREVIEW_Z_INDEX + 1; // Context menus show above drop previews
+const MODAL_Z_INDEX = BASE_Z_INDEX * 5; // Modal backdrops and dialogs show above floating containers
+const FOCUSABLE_SELECTOR =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'; // Elements the Tab key stops at
+const SNAP_ZONE_THRESHOLD = 8; // Pixels from a floating area edge that trigger a snap zone
+const SNAP_ZONE_CORNER_SIZE = 80; // Length along an edge that counts as a corner
+const SPLIT_DROP_ZONE = 0.25; // Share of a pane's size near each edge that splits it on drop
+const SPLIT_MIN_RATIO = 0.1; // Smallest share a pane can be given by a split divider
+const MIN_CONTAINER_WIDTH = 300; // Smallest width a container can be resized to
+const MIN_CONTAINER_HEIGHT = 200; // Smallest height a container can be resized to
+const KEYBOARD_STEP = 10; // Pixels moved or resized per arrow key press
+const KEYBOARD_STEP_FINE = 1; // Pixels per arrow key press while Shift is held
+const BRIDGE_CHANNEL = "window-manager-bridge"; // Marks postMessage data that belongs to a frame bridge
+const BRIDGE_REQUEST_TIMEOUT = 10000; // Milliseconds before an unanswered frame request fails
+const GEOMETRY_STORAGE_PREFIX = "window-manager-geometry:"; // localStorage key prefix for remembered geometry
+const POPUP_GEOMETRY_STORAGE_PREFIX = "window-manager-popup-geometry:"; // localStorage key prefix for popup screen geometry
+const POPUP_GEOMETRY_POLL_INTERVAL = 1000; // Milliseconds between popup position checks
+const TAB_SCROLL_EDGE = 24; // Pixels from a tab strip edge that scroll it while dragging a tab
+const TAB_SCROLL_STEP = 12; // Pixels a tab strip scrolls per drag event near its edge
+const TAB_LIST_SEARCH_THRESHOLD = 10; // Tabs in a strip before the tab list gets a search field
+
+// Default keyboard shortcuts, each action takes one key combination or a list of them.
+// Browsers keep some combinations such as Ctrl+Tab for themselves, hence the alternatives.
+const DEFAULT_SHORTCUTS = {
+  nextTab: ["Ctrl+Tab", "Alt+PageDown"],
+  previousTab: ["Ctrl+Shift+Tab", "Alt+PageUp"],
+  nextContainer: "Ctrl+F6",
+  previousContainer: "Ctrl+Shift+F6",
+  closeWindow: "Ctrl+F4",
+  minimize: "Ctrl+F9",
+  maximize: "Ctrl+F10",
+  popOut: "Ctrl+Shift+F10",
+  move: "Ctrl+F7",
+  resize: "Ctrl+F8",
+};
+
+// Theme tokens, each one sets the --wm-* CSS variable of the same name in kebab case.
+// Tokens a theme leaves out fall back to the editor's own --gray* and --turquoise colors.
+const THEME_TOKENS = [
+  "surface", // Window and active tab background
+  "surfaceRaised", // Header and tab strip background
+  "surfaceSunken", // Inactive tab and input background
+  "surfaceHover", // Hovered tabs and buttons
+  "text", // Window content text
+  "textStrong", // Titles, active tab and button text
+  "textMuted", // Inactive tab text and icons
+  "accent", // Active tab marker, focus rings and drop targets
+  "accentRgb", // The accent as "r, g, b" for translucent highlights
+  "onAccent", // Text on accent colored buttons
+  "danger", // Validation errors
+  "border", // Docked panel borders, split dividers and inputs
+  "shadow", // Floating container box-shadow
+  "backdrop", // Modal backdrop
+  "radius", // Container, button and input corner radius
+  "tabRadius", // Tab corner radius
+  "fontSize", // Titles, dialogs and inputs
+  "tabFontSize", // Tabs and minimized dock items
+];
+
+const THEME_PRESETS = {
+  dark: {
+    surface: "#575757",
+    surfaceRaised: "#696969",
+    surfaceSunken: "#383838",
+    surfaceHover: "#474747",
+    text: "#b8b8b8",
+    textStrong: "#e8e8e8",
+    textMuted: "#8f8f8f",
+    accent: "#29f3d0",
+    onAccent: "#1f1f1f",
+    danger: "#f35b5b",
+    border: "#383838",
+    shadow: "0 10px 40px rgba(0, 0, 0, 0.5)",
+    backdrop: "rgba(0, 0, 0, 0.45)",
+    radius: "4px",
+    tabRadius: "6px",
+    fontSize: "14px",
+    tabFontSize: "13px",
+  },
+  light: {
+    surface: "#f5f5f5",
+    surfaceRaised: "#e0e0e0",
+    surfaceSunken: "#d0d0d0",
+    surfaceHover: "#c4c4c4",
+    text: "#333333",
+    textStrong: "#111111",
+    textMuted: "#666666",
+    accent: "#0a84a8",
+    onAccent: "#ffffff",
+    danger: "#c62828",
+    border: "#bdbdbd",
+    shadow: "0 10px 30px rgba(0, 0, 0, 0.2)",
+    backdrop: "rgba(0, 0, 0, 0.3)",
+    radius: "4px",
+    tabRadius: "6px",
+    fontSize: "14px",
+    tabFontSize: "13px",
+  },
+  "high-contrast": {
+    surface: "#000000",
+    surfaceRaised: "#000000",
+    surfaceSunken: "#000000",
+    surfaceHover: "#333333",
+    text: "#ffffff",
+    textStrong: "#ffffff",
+    textMuted: "#ffffff",
+    accent: "#ffff00",
+    onAccent: "#000000",
+    danger: "#ff6b6b",
+    border: "#ffffff",
+    shadow: "0 0 0 2px #ffffff", // Outlines containers instead of shading them
+    backdrop: "rgba(0, 0, 0, 0.7)",
+    radius: "0px",
+    tabRadius: "0px",
+    fontSize: "15px",
+    tabFontSize: "14px",
+  },
+};
+
+// Default geometry storage, keeps one entry per window id in localStorage,
+// and popup screen geometry in separate entries
+const localStorageGeometryStorage = {
+  load(windowId) {
+    try {
+      const stored = localStorage.getItem(GEOMETRY_STORAGE_PREFIX + windowId);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error("Error loading window geometry:", error);
+      return null;
+    }
+  },
+
+  save(windowId, geometry) {
+    try {
+      localStorage.setItem(
+        GEOMETRY_STORAGE_PREFIX + windowId,
+        JSON.stringify(geometry)
+      );
+    } catch (error) {
+      console.error("Error saving window geometry:", error);
+    }
+  },
+
+  loadPopup(windowId) {
+    try {
+      const stored = localStorage.getItem(
+        POPUP_GEOMETRY_STORAGE_PREFIX + windowId
+      );
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error("Error loading popup geometry:", error);
+      return null;
+    }
+  },
+
+  savePopup(windowId, geometry) {
+    try {
+      localStorage.setItem(
+        POPUP_GEOMETRY_STORAGE_PREFIX + windowId,
+        JSON.stringify(geometry)
+      );
+    } catch (error) {
+      console.error("Error saving popup geometry:", error);
+    }
+  },
+};
 
 export const DialogManager = {
   windows: new Map(),
   containers: new Map(), // Track multiple containers
   minimizedDock: null,
   containerIdCounter: 0,
+  paneIdCounter: 0,
   dragState: null, // Track tab dragging state
+  dockOrder: [], // Container IDs in the order they appear in the minimized dock
+  geometryStorage: localStorageGeometryStorage, // Used by windows with rememberGeometry
+  listeners: new Map(), // Event name -> Set of handlers
+  dockEdges: {
+    left: { size: 300, containerIds: [] },
+    right: { size: 300, containerIds: [] },
+    bottom: { size: 250, containerIds: [] },
+  },
+  dockSplitters: [], // Splitter elements of the current docked layout
+  dropPreview: null,
+  snapOptions: {
+    enabled: true, // Magnetic snapping to edges while dragging and resizing
+    threshold: 10, // Distance in pixels at which edges attract each other
+    zones: true, // Half and quarter snap zones at the floating area edges
+  },
+  shortcuts: { ...DEFAULT_SHORTCUTS }, // Action name -> key combination(s)
+  keyboardMode: null, // Active keyboard move or resize, { containerId, type, startGeometry, cleanup }
+  modalStack: [], // Window IDs of open modals, topmost last
+  theme: {}, // Theme tokens applied to all windows, empty follows the editor's colors
+  contextMenu: null, // Open context menu, { element, cleanup }
+  tabStripObserver: null, // Updates the scroll buttons of tab strips when they resize
+  messageDialogCounter: 0,
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  },
+
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+
+    // Without a handler, remove every handler for this event
+    if (handler) {
+      handlers.delete(handler);
+    } else {
+      handlers.clear();
+    }
+  },
+
+  emit(event, detail) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+
+    Array.from(handlers).forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Error in "${event}" event handler:`, error);
+      }
+    });
+  },
 
   init() {
     addDialogStyles();
@@ -43,11 +274,16 @@ export const DialogManager = {
       this.containers.forEach((containerData) => {
         if (
           containerData.element &&
-          containerData.element.style.display !== "none"
+          containerData.element.style.display !== "none" &&
+          !containerData.dockEdge &&
+          !containerData.isMaximized &&
+          !containerData.popupWindow
         ) {
           this.constrainToViewport(containerData.element);
         }
       });
+      // Also refits maximized containers to the new floating area
+      this.layoutDockedPanels();
     });
   },
 
@@ -66,6 +302,7 @@ export const DialogManager = {
     // Close all popup windows when the main window is closed or refreshed
     window.addEventListener("beforeunload", () => {
       this.windows.forEach((windowData) => {
+        this.stopPopupGeometryTracking(windowData);
         if (windowData.popupWindow && !windowData.popupWindow.closed) {
           try {
             windowData.popupWindow.close();
@@ -74,6 +311,15 @@ export const DialogManager = {
           }
         }
       });
+      this.containers.forEach((containerData) => {
+        if (containerData.popupWindow && !containerData.popupWindow.closed) {
+          try {
+            containerData.popupWindow.close();
+          } catch (error) {
+            console.error("Error closing popup window:", error);
+          }
+        }
+      });
     });
   },
 
@@ -89,6 +335,19 @@ export const DialogManager = {
     onPopout,
     onPopupClose,
     onRestore,
+    onBeforeClose,
+    onBeforeMove,
+    onAfterMove,
+    theme = null,
+    icon = null,
+    badge = null,
+    contextMenuItems = null,
+    preview = false,
+    rememberGeometry = false,
+    isolation = "none",
+    styles = [],
+    src = null,
+    sandbox = "allow-scripts",
   }) {
     if (!this.minimizedDock) this.init();
 
@@ -104,38 +363,226 @@ export const DialogManager = {
       onPopout,
       onPopupClose,
       onRestore,
+      onBeforeClose,
+      onBeforeMove,
+      onAfterMove,
+      theme: this.resolveTheme(theme) || {}, // Tokens that apply to this window only
+      icon, // SVG markup, image URL or element shown before the title
+      badge: this.normalizeBadge(badge), // Text shown after the title, like a count
+      contextMenuItems, // Extra tab menu entries, or a function returning them
+      isPinned: false,
+      isPreview: false, // Replaced by the next preview window until kept
+      rememberGeometry,
+      isolation,
+      shadowStyles: [...styles], // Style sheets or CSS text adopted into the shadow root
+      shadowStylesDocument: null, // Document the adopted styles were built for
+      src,
+      sandbox,
+      frame: null, // iframe of windows created with src
+      bridge: null, // Message bridge to the iframe
+      popupStyleSync: null, // Keeps the popup's styles in sync with the editor
+      popupGeometryTracking: null, // Records where the popup is on screen
       element: null,
+      shadowRoot: null,
       popupWindow: null,
       isMinimized: false,
       isInPopup: false,
+      isDirty: false,
+      pendingClose: null,
+      isClosing: false, // Set once destroyWindow starts
+      scrolledElements: new Set(), // Scrolled elements to restore after a move
+      unmountContent: null, // Cleanup returned by a render function or component
       tabElement: null,
       containerId: null,
+      returnFocusTo: document.activeElement, // Gets focus back when the window closes
     };
 
     this.windows.set(id, windowData);
 
-    // Each window opens in its own separate container by default
-    const container = this.createNewContainer(null, { width, height });
-    this.renderWindowInContainer(windowData, container);
-    this.focusWindowInContainer(id, container.dataset.containerId);
+    // Preview windows take the place of the current preview tab
+    const previewWindow = preview ? this.getPreviewWindow() : null;
+    const geometry = rememberGeometry ? this.loadWindowGeometry(id) : null;
+    if (previewWindow) {
+      this.replacePreviewWindow(previewWindow, windowData);
+    } else if (geometry) {
+      this.openWindowWithGeometry(windowData, geometry);
+    } else {
+      // Each window opens in its own separate container by default
+      const container = this.createNewContainer(null, { width, height });
+      this.renderWindowInContainer(windowData, container);
+      this.focusWindowInContainer(id, container.dataset.containerId);
+    }
+
+    if (preview) {
+      this.setWindowPreview(id, true);
+    }
+
+    this.emit("window:created", {
+      windowId: id,
+      containerId: windowData.containerId,
+    });
 
     return windowData;
   },
 
+  getPreviewWindow() {
+    return (
+      Array.from(this.windows.values()).find((w) => {
+        const containerData = this.containers.get(w.containerId);
+        return (
+          w.isPreview &&
+          !w.isInPopup &&
+          !w.isClosing &&
+          containerData &&
+          !containerData.isModal
+        );
+      }) || null
+    );
+  },
+
+  replacePreviewWindow(previewWindow, windowData) {
+    const containerData = this.containers.get(previewWindow.containerId);
+
+    // The new tab opens where the preview tab is, then the preview closes.
+    // A preview whose close guard refuses stays open as a regular tab.
+    this.renderWindowInContainer(
+      windowData,
+      containerData.element,
+      previewWindow.paneId
+    );
+    previewWindow.tabElement.parentNode.insertBefore(
+      windowData.tabElement,
+      previewWindow.tabElement
+    );
+    this.setWindowPreview(previewWindow.id, false);
+    this.focusWindowInContainer(windowData.id, containerData.id);
+    if (containerData.isMinimized) {
+      this.restoreContainer(containerData.id);
+    }
+    this.closeWindow(previewWindow.id);
+  },
+
+  setWindowPreview(windowId, preview) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData) return;
+
+    // Only one preview tab at a time, the previous one is kept
+    if (preview) {
+      this.windows.forEach((w) => {
+        if (w !== windowData && w.isPreview) {
+          this.setWindowPreview(w.id, false);
+        }
+      });
+    }
+
+    if (windowData.isPreview === !!preview) return;
+    windowData.isPreview = !!preview;
+    if (windowData.tabElement) {
+      windowData.tabElement.classList.toggle(
+        "window-manager-tab-preview",
+        windowData.isPreview
+      );
+    }
+  },
+
+  setGeometryStorage(storage) {
+    this.geometryStorage = storage || localStorageGeometryStorage;
+  },
+
+  loadWindowGeometry(windowId) {
+    try {
+      return this.geometryStorage.load(windowId) || null;
+    } catch (error) {
+      console.error("Error in geometry storage load:", error);
+      return null;
+    }
+  },
+
+  saveWindowGeometry(windowData) {
+    if (!windowData.rememberGeometry) return;
+
+    const containerData = this.containers.get(windowData.containerId);
+    if (!containerData) return;
+
+    const tabbedWith = Array.from(this.windows.values())
+      .filter(
+        (w) => w.containerId === windowData.containerId && w !== windowData
+      )
+      .map((w) => w.id);
+
+    try {
+      this.geometryStorage.save(windowData.id, {
+        ...this.getFloatingGeometry(containerData),
+        isMinimized: containerData.isMinimized,
+        dockEdge: containerData.dockEdge,
+        tabbedWith,
+      });
+    } catch (error) {
+      console.error("Error in geometry storage save:", error);
+    }
+  },
+
+  saveContainerGeometry(containerId) {
+    this.windows.forEach((windowData) => {
+      if (windowData.containerId === containerId) {
+        this.saveWindowGeometry(windowData);
+      }
+    });
+  },
+
+  openWindowWithGeometry(windowData, geometry) {
+    // Rejoin a container holding a window this one was last tabbed with
+    const tabbedContainer = (geometry.tabbedWith || [])
+      .map((windowId) => this.windows.get(windowId))
+      .filter((w) => w && w !== windowData && !w.isInPopup)
+      .map((w) => this.containers.get(w.containerId))
+      .find(Boolean);
+
+    if (tabbedContainer) {
+      windowData.isMinimized = tabbedContainer.isMinimized;
+      this.renderWindowInContainer(windowData, tabbedContainer.element);
+      this.focusWindowInContainer(windowData.id, tabbedContainer.id);
+      this.updateMinimizedDock();
+      return;
+    }
+
+    const container = this.createNewContainer(
+      { left: geometry.left, top: geometry.top },
+      { width: geometry.width, height: geometry.height }
+    );
+    const containerId = container.dataset.containerId;
+    this.constrainToViewport(container);
+    this.renderWindowInContainer(windowData, container);
+    this.focusWindowInContainer(windowData.id, containerId);
+
+    if (geometry.dockEdge) {
+      this.dockContainer(containerId, geometry.dockEdge);
+    }
+
+    if (geometry.isMinimized) {
+      this.minimizeContainer(containerId);
+    }
+  },
+
   createNewContainer(position = null, dimensions = null) {
     const containerId = `container-${++this.containerIdCounter}`;
 
     const container = document.createElement("div");
     container.className = "window-manager-dialog-container";
     container.dataset.containerId = containerId;
+    container.setAttribute("role", "dialog");
+    container.setAttribute("aria-labelledby", `${containerId}-title`);
     container.innerHTML = `
       <div class="window-manager-dialog-header">
-        <div class="window-manager-dialog-title" style="display: none;"></div>
-        <div class="window-manager-dialog-tabs"></div>
+        <div class="window-manager-dialog-title" id="${containerId}-title" style="display: none;"></div>
+        <div class="window-manager-dialog-tabs" role="tablist"></div>
         <div class="window-manager-dialog-controls">
-          <button class="window-manager-dialog-btn popout-btn" title="Pop out to browser window" style="display: none;">⧉</button>
-          <button class="window-manager-dialog-btn minimize-btn" title="Minimize">_</button>
-          <button class="window-manager-dialog-btn close-btn" title="Close">×</button>
+          <button class="window-manager-dialog-btn popout-btn" title="Pop out to browser window" aria-label="Pop out to browser window" style="display: none;">⧉</button>
+          <button class="window-manager-dialog-btn return-btn" title="Return to editor" aria-label="Return to editor">⇲</button>
+          <button class="window-manager-dialog-btn rollup-btn" title="Roll up" aria-label="Roll up" aria-expanded="true">▴</button>
+          <button class="window-manager-dialog-btn minimize-btn" title="Minimize" aria-label="Minimize">_</button>
+          <button class="window-manager-dialog-btn maximize-btn" title="Maximize" aria-label="Maximize">□</button>
+          <button class="window-manager-dialog-btn close-btn" title="Close" aria-label="Close">×</button>
         </div>
       </div>
       <div class="window-manager-dialog-tabs-content"></div>
@@ -183,6 +630,27 @@ export const DialogManager = {
       this.minimizeContainer(containerId);
     });
 
+    container.querySelector(".maximize-btn").addEventListener("click", () => {
+      this.toggleMaximizeContainer(containerId);
+    });
+
+    container.querySelector(".rollup-btn").addEventListener("click", () => {
+      this.toggleRollUpContainer(containerId);
+    });
+
+    // Double-clicking the header toggles maximize, like a desktop window
+    container
+      .querySelector(".window-manager-dialog-header")
+      .addEventListener("dblclick", (e) => {
+        if (
+          e.target.closest(".window-manager-dialog-controls") ||
+          e.target.closest(".window-manager-dialog-tab") ||
+          e.target.closest(".window-manager-tabs-strip button")
+        )
+          return;
+        this.toggleMaximizeContainer(containerId);
+      });
+
     container.querySelector(".popout-btn").addEventListener("click", () => {
       const containerData = this.containers.get(containerId);
       if (containerData && containerData.activeWindowId) {
@@ -190,6 +658,10 @@ export const DialogManager = {
       }
     });
 
+    container.querySelector(".return-btn").addEventListener("click", () => {
+      this.returnContainerFromPopup(containerId);
+    });
+
     // Setup drop zone for merging windows
     this.setupContainerDropZone(container);
 
@@ -201,17 +673,48 @@ export const DialogManager = {
       this.bringContainerToFront(containerId);
     });
 
+    // Keyboard shortcuts are handled before events are isolated
+    this.setupKeyboardShortcuts(container);
+
     // Prevent events from propagating to the rest of the UI
     this.setupEventIsolation(container);
 
+    // Every container starts with one pane using the header tab strip and the
+    // content area, more panes are added by splitting it
+    const mainPane = {
+      id: `pane-${++this.paneIdCounter}`,
+      element: null, // Only set while the container is split
+      tabsElement: container.querySelector(".window-manager-dialog-tabs"),
+      contentElement: container.querySelector(
+        ".window-manager-dialog-tabs-content"
+      ),
+      activeWindowId: null,
+    };
+    mainPane.tabsElement.dataset.paneId = mainPane.id;
+    mainPane.contentElement.dataset.paneId = mainPane.id;
+    this.setupTabStrip(mainPane);
+
     // Store container data
     const containerData = {
       id: containerId,
       element: container,
       activeWindowId: null,
+      panes: new Map([[mainPane.id, mainPane]]),
+      activePaneId: mainPane.id,
       isMinimized: false,
+      dockEdge: null, // "left", "right" or "bottom" while docked
+      dockShare: 1, // Share of the edge length when several panels are docked together
+      floatingGeometry: null, // Geometry to return to when undocked or unmaximized
+      isMaximized: false,
+      isRolledUp: false,
+      isFullscreen: false,
+      isModal: false,
+      preSnapSize: null, // Size to return to when dragged out of a snap zone
+      popupWindow: null, // Browser window the whole container is popped out to
+      popupStyleSync: null, // Keeps that popup's styles in sync with the editor
     };
     this.containers.set(containerId, containerData);
+    this.emit("container:created", { containerId });
 
     return container;
   },
@@ -222,9 +725,26 @@ export const DialogManager = {
 
       const targetContainerId = container.dataset.containerId;
       const sourceContainerId = this.dragState.sourceContainerId;
+      const zone = this.getSplitDropZone(e, container);
+
+      // Edges of a pane's content split it, the rest merges into the container
+      if (zone && zone.side) {
+        e.preventDefault();
+        container.classList.remove("window-manager-drop-target");
+        this.showDropPreview(zone.previewRect);
+        return;
+      }
+
+      this.hideDropPreview();
 
       // Don't show drop target on the source container
-      if (sourceContainerId === targetContainerId) return;
+      if (sourceContainerId === targetContainerId) {
+        // Dropping on another pane of the same container moves the tab there
+        if (zone && zone.paneId !== this.dragState.sourcePaneId) {
+          e.preventDefault();
+        }
+        return;
+      }
 
       e.preventDefault();
       container.classList.add("window-manager-drop-target");
@@ -234,30 +754,356 @@ export const DialogManager = {
       // Only remove if we're actually leaving the container
       if (!container.contains(e.relatedTarget)) {
         container.classList.remove("window-manager-drop-target");
+        this.hideDropPreview();
       }
     });
 
     container.addEventListener("drop", (e) => {
       e.preventDefault();
       container.classList.remove("window-manager-drop-target");
+      this.hideDropPreview();
 
       if (!this.dragState) return;
 
-      const { windowId, sourceContainerId } = this.dragState;
+      const { windowId, sourceContainerId, sourcePaneId } = this.dragState;
       const targetContainerId = container.dataset.containerId;
+      const zone = this.getSplitDropZone(e, container);
+
+      if (zone && zone.side) {
+        this.splitWindowIntoPane(
+          windowId,
+          targetContainerId,
+          zone.paneId,
+          zone.side
+        );
+        this.dragState = null;
+        return;
+      }
 
-      // Don't merge into the same container (reordering is handled separately)
-      if (sourceContainerId === targetContainerId) return;
+      // Don't merge into the same pane (reordering is handled separately)
+      if (sourceContainerId === targetContainerId) {
+        if (zone && zone.paneId !== sourcePaneId) {
+          this.moveWindowToContainer(windowId, targetContainerId, zone.paneId);
+          this.dragState = null;
+        }
+        return;
+      }
 
       // Merge into tabs
-      this.moveWindowToContainer(windowId, targetContainerId);
+      this.moveWindowToContainer(
+        windowId,
+        targetContainerId,
+        zone ? zone.paneId : null
+      );
       this.dragState = null;
     });
   },
 
-  renderWindowInContainer(windowData, container) {
+  getSplitDropZone(e, container) {
+    // Find the content area of the pane under the cursor
+    const contentElement = e.target.closest(
+      ".window-manager-pane-content, .window-manager-dialog-tabs-content"
+    );
+    if (
+      !contentElement ||
+      !container.contains(contentElement) ||
+      !contentElement.dataset.paneId
+    ) {
+      return null;
+    }
+
+    const paneId = contentElement.dataset.paneId;
+    const rect = contentElement.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return { paneId, side: null };
+
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = (e.clientY - rect.top) / rect.height;
+    const nearest = [
+      { side: "left", distance: x },
+      { side: "right", distance: 1 - x },
+      { side: "top", distance: y },
+      { side: "bottom", distance: 1 - y },
+    ].sort((a, b) => a.distance - b.distance)[0];
+
+    if (nearest.distance > SPLIT_DROP_ZONE) return { paneId, side: null };
+
+    // A pane can't be split off from its own only tab
+    const { windowId, sourcePaneId } = this.dragState;
+    if (
+      sourcePaneId === paneId &&
+      this.getWindowsInPane(paneId).filter((w) => w.id !== windowId)
+        .length === 0
+    ) {
+      return { paneId, side: null };
+    }
+
+    const halfWidth = rect.width / 2;
+    const halfHeight = rect.height / 2;
+    const previewRect = {
+      left: nearest.side === "right" ? rect.left + halfWidth : rect.left,
+      top: nearest.side === "bottom" ? rect.top + halfHeight : rect.top,
+      width:
+        nearest.side === "left" || nearest.side === "right"
+          ? halfWidth
+          : rect.width,
+      height:
+        nearest.side === "top" || nearest.side === "bottom"
+          ? halfHeight
+          : rect.height,
+    };
+
+    return { paneId, side: nearest.side, previewRect };
+  },
+
+  getWindowsInPane(paneId) {
+    return Array.from(this.windows.values()).filter(
+      (w) => w.paneId === paneId
+    );
+  },
+
+  releaseActiveWindowInPane(paneId, windowId) {
+    this.containers.forEach((containerData) => {
+      const pane = containerData.panes.get(paneId);
+      if (!pane || pane.activeWindowId !== windowId) return;
+
+      const remaining = this.getWindowsInPane(paneId).filter(
+        (w) => w.id !== windowId && !w.isInPopup
+      );
+      pane.activeWindowId = remaining.length > 0 ? remaining[0].id : null;
+    });
+  },
+
+  getPane(containerData, paneId) {
+    // Unknown panes fall back to the pane the user last worked in
+    return (
+      containerData.panes.get(paneId) ||
+      containerData.panes.get(containerData.activePaneId) ||
+      containerData.panes.values().next().value
+    );
+  },
+
+  splitWindowIntoPane(windowId, containerId, paneId, side) {
+    const windowData = this.windows.get(windowId);
+    const containerData = this.containers.get(containerId);
+    if (!windowData || !containerData || !containerData.panes.has(paneId)) {
+      return;
+    }
+
+    // Splitting a pane with its only window would leave it empty
+    if (
+      windowData.paneId === paneId &&
+      this.getWindowsInPane(paneId).length <= 1
+    ) {
+      return;
+    }
+
+    const newPane = this.splitPane(containerId, paneId, side);
+    this.moveWindowToContainer(windowId, containerId, newPane.id);
+  },
+
+  splitPane(containerId, paneId, side) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData) return null;
+
+    const pane = containerData.panes.get(paneId);
+    if (!pane) return null;
+
+    // The first split moves the header tab strip into its own pane
+    if (!pane.element) {
+      this.wrapMainPane(containerData, pane);
+    }
+
+    const newPane = this.createPane(containerData);
+    const split = document.createElement("div");
+    split.className = "window-manager-split";
+    split.dataset.direction =
+      side === "left" || side === "right" ? "horizontal" : "vertical";
+    split.style.flex = pane.element.style.flex;
+
+    pane.element.parentElement.insertBefore(split, pane.element);
+    const [first, second] =
+      side === "left" || side === "top"
+        ? [newPane.element, pane.element]
+        : [pane.element, newPane.element];
+    first.style.flex = "1 1 0";
+    second.style.flex = "1 1 0";
+    this.moveNode(first, split);
+    split.appendChild(this.createSplitDivider(split));
+    this.moveNode(second, split);
+
+    this.updateTabVisibility(containerData.element);
+    this.emit("pane:split", {
+      containerId,
+      paneId,
+      newPaneId: newPane.id,
+      side,
+    });
+
+    return newPane;
+  },
+
+  createPane(containerData) {
+    const pane = {
+      id: `pane-${++this.paneIdCounter}`,
+      element: document.createElement("div"),
+      tabsElement: document.createElement("div"),
+      contentElement: document.createElement("div"),
+      activeWindowId: null,
+    };
+
+    pane.element.className = "window-manager-dialog-pane";
+    pane.tabsElement.className = "window-manager-dialog-tabs";
+    pane.tabsElement.setAttribute("role", "tablist");
+    pane.contentElement.className = "window-manager-pane-content";
+    pane.tabsElement.dataset.paneId = pane.id;
+    pane.contentElement.dataset.paneId = pane.id;
+    pane.element.dataset.paneId = pane.id;
+    this.setupTabStrip(pane);
+    pane.element.append(pane.stripElement, pane.contentElement);
+
+    // Clicking into a pane makes it the one new tabs go to
+    pane.element.addEventListener("mousedown", () => {
+      if (containerData.activePaneId === pane.id) return;
+      containerData.activePaneId = pane.id;
+      if (pane.activeWindowId) {
+        containerData.activeWindowId = pane.activeWindowId;
+      }
+      this.updateTabVisibility(containerData.element);
+    });
+
+    containerData.panes.set(pane.id, pane);
+    return pane;
+  },
+
+  wrapMainPane(containerData, pane) {
+    const body = pane.contentElement;
+    const wrapped = this.createPane(containerData);
+    containerData.panes.delete(wrapped.id);
+
+    // Keep the pane's id, tab strip and windows, only their place changes
+    wrapped.element.dataset.paneId = pane.id;
+    wrapped.contentElement.dataset.paneId = pane.id;
+    wrapped.stripElement.replaceWith(pane.stripElement);
+    this.tabStripObserver.unobserve(wrapped.tabsElement);
+    body.appendChild(wrapped.element);
+    Array.from(body.children)
+      .filter((child) => child !== wrapped.element)
+      .forEach((child) => this.moveNode(child, wrapped.contentElement));
+    delete body.dataset.paneId;
+
+    pane.element = wrapped.element;
+    pane.contentElement = wrapped.contentElement;
+  },
+
+  unwrapMainPane(containerData, pane) {
+    const container = containerData.element;
+    const body = container.querySelector(".window-manager-dialog-tabs-content");
+
+    // Put the tab strip back in the header and the windows back in the body
+    container
+      .querySelector(".window-manager-dialog-header")
+      .insertBefore(
+        pane.stripElement,
+        container.querySelector(".window-manager-dialog-controls")
+      );
+    Array.from(pane.contentElement.children).forEach((child) =>
+      this.moveNode(child, body)
+    );
+    pane.element.remove();
+
+    body.dataset.paneId = pane.id;
+    pane.element = null;
+    pane.contentElement = body;
+  },
+
+  removePane(containerData, pane) {
+    // The sibling of the removed pane takes the place of their split
+    const split = pane.element.parentElement;
+    const sibling = Array.from(split.children).find(
+      (child) =>
+        child !== pane.element &&
+        !child.classList.contains("window-manager-split-divider")
+    );
+    sibling.style.flex = split.style.flex;
+    this.moveNode(sibling, split.parentElement, split);
+    split.remove();
+
+    containerData.panes.delete(pane.id);
+    this.tabStripObserver.unobserve(pane.tabsElement);
+    if (containerData.activePaneId === pane.id) {
+      containerData.activePaneId = containerData.panes.keys().next().value;
+    }
+
+    if (containerData.panes.size === 1) {
+      this.unwrapMainPane(
+        containerData,
+        containerData.panes.values().next().value
+      );
+    }
+
+    this.emit("pane:closed", { containerId: containerData.id, paneId: pane.id });
+  },
+
+  collapseEmptyPanes(containerData) {
+    if (containerData.panes.size <= 1) return;
+
+    Array.from(containerData.panes.values()).forEach((pane) => {
+      if (
+        containerData.panes.size > 1 &&
+        this.getWindowsInPane(pane.id).length === 0
+      ) {
+        this.removePane(containerData, pane);
+      }
+    });
+  },
+
+  createSplitDivider(split) {
+    const divider = document.createElement("div");
+    divider.className = "window-manager-split-divider";
+
+    divider.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const horizontal = split.dataset.direction === "horizontal";
+      const [first, , second] = split.children;
+      // Popped out containers are split inside their popup's document
+      const ownerDocument = divider.ownerDocument;
+
+      const onMouseMove = (moveEvent) => {
+        const rect = split.getBoundingClientRect();
+        const ratio = horizontal
+          ? (moveEvent.clientX - rect.left) / rect.width
+          : (moveEvent.clientY - rect.top) / rect.height;
+        const clamped = Math.max(
+          SPLIT_MIN_RATIO,
+          Math.min(1 - SPLIT_MIN_RATIO, ratio)
+        );
+        first.style.flex = `${clamped} 1 0`;
+        second.style.flex = `${1 - clamped} 1 0`;
+      };
+      const onMouseUp = () => {
+        ownerDocument.removeEventListener("mousemove", onMouseMove);
+        ownerDocument.removeEventListener("mouseup", onMouseUp);
+      };
+
+      ownerDocument.addEventListener("mousemove", onMouseMove);
+      ownerDocument.addEventListener("mouseup", onMouseUp);
+    });
+
+    return divider;
+  },
+
+  renderWindowInContainer(windowData, container, paneId = null) {
     const containerId = container.dataset.containerId;
+    const pane = this.getPane(this.containers.get(containerId), paneId);
+    const previousPaneId = windowData.paneId;
     windowData.containerId = containerId;
+    windowData.paneId = pane.id;
+
+    if (previousPaneId && previousPaneId !== pane.id) {
+      this.releaseActiveWindowInPane(previousPaneId, windowData.id);
+    }
 
     // Create or update tab
     this.createTab(windowData, container);
@@ -265,18 +1111,21 @@ export const DialogManager = {
     // Create window content if it doesn't exist
     if (!windowData.element) {
       windowData.element = this.createWindowElement(windowData);
-      container
-        .querySelector(".window-manager-dialog-tabs-content")
-        .appendChild(windowData.element);
+      pane.contentElement.appendChild(windowData.element);
+
+      // Render functions and components mount once the element is in the page
+      this.applyShadowStyles(windowData);
+      if (windowData.bridge) {
+        windowData.bridge.listen();
+      }
+      this.mountWindowContent(windowData);
 
       if (windowData.onInit) {
-        setTimeout(() => windowData.onInit(windowData.element), 0);
+        setTimeout(() => windowData.onInit(this.getContentRoot(windowData)), 0);
       }
     } else {
       // Move existing element to new container
-      container
-        .querySelector(".window-manager-dialog-tabs-content")
-        .appendChild(windowData.element);
+      this.attachWindowElement(windowData, pane.contentElement);
     }
 
     this.updateTabVisibility(container);
@@ -286,30 +1135,903 @@ export const DialogManager = {
     const windowEl = document.createElement("div");
     windowEl.className = "window-manager-window-content";
     windowEl.dataset.windowId = windowData.id;
-    windowEl.innerHTML = windowData.content;
+    windowEl.id = `window-manager-panel-${windowData.id}`;
+    windowEl.tabIndex = -1;
+    windowEl.setAttribute("role", "tabpanel");
+    windowEl.setAttribute("aria-labelledby", `window-manager-tab-${windowData.id}`);
+    this.applyThemeTokens(windowEl, windowData.theme);
+
+    // Using a preview window's content keeps it
+    const keepPreview = () => {
+      if (windowData.isPreview) this.setWindowPreview(windowData.id, false);
+    };
+    windowEl.addEventListener("mousedown", keepPreview, true);
+    windowEl.addEventListener("keydown", keepPreview, true);
+
+    // Scroll events don't bubble but can be captured, so moves only have
+    // to restore the elements that were actually scrolled
+    const trackScroll = (e) => {
+      if (e.target.nodeType === Node.ELEMENT_NODE) {
+        windowData.scrolledElements.add(e.target);
+      }
+    };
+    windowEl.addEventListener("scroll", trackScroll, true);
+
+    // Frame windows host their content in a sandboxed iframe
+    if (windowData.src) {
+      const frame = document.createElement("iframe");
+      frame.className = "window-manager-frame";
+      frame.title = windowData.title;
+      frame.setAttribute("sandbox", windowData.sandbox);
+      frame.src = windowData.src;
+      windowEl.appendChild(frame);
+      windowData.frame = frame;
+      windowData.bridge = this.createFrameBridge(windowData);
+      return windowEl;
+    }
+
+    // Isolated windows render into a shadow root so styles don't leak either way
+    let root = windowEl;
+    if (windowData.isolation === "shadow") {
+      windowData.shadowRoot = windowEl.attachShadow({ mode: "open" });
+      windowData.shadowRoot.addEventListener("scroll", trackScroll, true);
+      root = windowData.shadowRoot;
+    }
+
+    const content = windowData.content;
+    if (content instanceof Node) {
+      root.appendChild(content);
+    } else if (typeof content === "string") {
+      root.innerHTML = content;
+    }
     return windowEl;
   },
 
-  setupEventIsolation(element) {
-    const mouseEvents = [
-      "mousedown",
-      "mouseup",
-      "mousemove",
-      "click",
-      "dblclick",
-      "contextmenu",
-      "wheel",
-    ];
-    mouseEvents.forEach((eventType) => {
-      element.addEventListener(eventType, (e) => {
-        if (e.target !== element && !element.contains(e.target)) {
-          e.stopPropagation();
-        }
-      });
-    });
+  attachWindowElement(windowData, parent) {
+    if (windowData.element.parentNode === parent) return;
 
-    // Stop propagation for pointer events
-    const pointerEvents = [
+    this.moveNode(windowData.element, parent);
+    this.applyShadowStyles(windowData);
+    if (windowData.bridge) {
+      windowData.bridge.listen();
+    }
+  },
+
+  moveNode(node, parent, before = null) {
+    const windowElements = node.matches(".window-manager-window-content")
+      ? [node]
+      : Array.from(node.querySelectorAll(".window-manager-window-content"));
+    const moved = windowElements
+      .map((element) => this.windows.get(element.dataset.windowId))
+      .filter(Boolean)
+      .map((windowData) => ({
+        windowData,
+        hookState: this.runMoveHook(windowData, "onBeforeMove"),
+      }));
+
+    // moveBefore keeps iframes and other live state when moving within a
+    // document, inserting the node again reloads its iframes
+    if (
+      node.isConnected &&
+      parent.isConnected &&
+      node.ownerDocument === parent.ownerDocument &&
+      typeof parent.moveBefore === "function"
+    ) {
+      try {
+        parent.moveBefore(node, before);
+        moved.forEach(({ windowData, hookState }) => {
+          this.runMoveHook(windowData, "onAfterMove", hookState);
+        });
+        return;
+      } catch (error) {
+        // Falls back to insertBefore, for example across shadow boundaries
+      }
+    }
+
+    // Re-inserting resets scroll positions, focus and selection, so they
+    // are put back afterwards
+    if (node.isConnected) {
+      moved.forEach((move) => {
+        move.state = this.captureWindowState(move.windowData);
+        if (move.windowData.bridge) {
+          move.windowData.bridge.frameWillReload();
+        }
+      });
+    }
+    parent.insertBefore(node, before);
+
+    moved.forEach(({ windowData, hookState, state }) => {
+      if (state) {
+        this.restoreWindowState(windowData, state);
+      }
+      this.runMoveHook(windowData, "onAfterMove", hookState);
+    });
+  },
+
+  runMoveHook(windowData, name, hookState) {
+    if (!windowData[name]) return undefined;
+
+    try {
+      return windowData[name](windowData, hookState);
+    } catch (error) {
+      console.error(`Error in ${name} callback:`, error);
+      return undefined;
+    }
+  },
+
+  captureWindowState(windowData) {
+    const element = windowData.element;
+    const shadowRoot = windowData.shadowRoot;
+    const ownerDocument = element.ownerDocument;
+    const contains = (target) =>
+      !!target &&
+      (element.contains(target) ||
+        (!!shadowRoot && shadowRoot.contains(target)));
+
+    // Scroll offsets of the elements scrolled inside the window, forgetting
+    // the ones that were removed or scrolled back to the start
+    windowData.scrolledElements.forEach((target) => {
+      if (
+        !contains(target) ||
+        (target.scrollTop === 0 && target.scrollLeft === 0)
+      ) {
+        windowData.scrolledElements.delete(target);
+      }
+    });
+    const scrolled = Array.from(windowData.scrolledElements).map(
+      (target) => ({
+        element: target,
+        top: target.scrollTop,
+        left: target.scrollLeft,
+      })
+    );
+
+    // Focus inside a shadow root shows up as focus on its host
+    let focused = ownerDocument.activeElement;
+    if (shadowRoot && focused === element && shadowRoot.activeElement) {
+      focused = shadowRoot.activeElement;
+    }
+    if (!contains(focused)) {
+      focused = null;
+    }
+
+    let textSelection = null;
+    try {
+      if (focused && typeof focused.selectionStart === "number") {
+        textSelection = {
+          start: focused.selectionStart,
+          end: focused.selectionEnd,
+          direction: focused.selectionDirection,
+        };
+      }
+    } catch (error) {
+      // Inputs like number fields have no selection
+    }
+
+    let selection = null;
+    const documentSelection = ownerDocument.getSelection();
+    if (
+      documentSelection &&
+      documentSelection.rangeCount > 0 &&
+      contains(documentSelection.anchorNode) &&
+      contains(documentSelection.focusNode)
+    ) {
+      selection = {
+        anchorNode: documentSelection.anchorNode,
+        anchorOffset: documentSelection.anchorOffset,
+        focusNode: documentSelection.focusNode,
+        focusOffset: documentSelection.focusOffset,
+      };
+    }
+
+    return { scrolled, focused, textSelection, selection };
+  },
+
+  restoreWindowState(
+    windowData,
+    { scrolled, focused, textSelection, selection }
+  ) {
+    const ownerDocument = windowData.element.ownerDocument;
+    const view = ownerDocument.defaultView;
+
+    const applyScroll = () => {
+      scrolled.forEach(({ element, top, left }) => {
+        element.scrollTop = top;
+        element.scrollLeft = left;
+      });
+    };
+
+    try {
+      applyScroll();
+
+      // Content that gets its size on the next layout is scrolled again then
+      if (
+        view &&
+        scrolled.some(
+          ({ element, top, left }) =>
+            element.scrollTop !== top || element.scrollLeft !== left
+        )
+      ) {
+        view.requestAnimationFrame(applyScroll);
+      }
+
+      if (focused && focused.isConnected) {
+        focused.focus({ preventScroll: true });
+        if (textSelection) {
+          focused.setSelectionRange(
+            textSelection.start,
+            textSelection.end,
+            textSelection.direction || undefined
+          );
+        }
+      }
+
+      if (
+        selection &&
+        selection.anchorNode.isConnected &&
+        selection.focusNode.isConnected
+      ) {
+        ownerDocument
+          .getSelection()
+          .setBaseAndExtent(
+            selection.anchorNode,
+            selection.anchorOffset,
+            selection.focusNode,
+            selection.focusOffset
+          );
+      }
+    } catch (error) {
+      console.error("Error restoring window state:", error);
+    }
+  },
+
+  createFrameBridge(windowData) {
+    const requestHandlers = new Map(); // Type -> handler for requests from the frame
+    const eventHandlers = new Map(); // Type -> Set of handlers for frame events
+    const pendingRequests = new Map(); // Request ID -> { resolve, reject, timer }
+    let queue = []; // Messages waiting for the frame to be ready
+    let requestIdCounter = 0;
+    let listeningView = null;
+    let hasBeenReady = false;
+
+    const post = (message) => {
+      const frameWindow = windowData.frame && windowData.frame.contentWindow;
+      if (!bridge.isReady || !frameWindow) {
+        queue.push(message);
+        return;
+      }
+      // Sandboxed frames have an opaque origin, so the frame is matched by source instead
+      frameWindow.postMessage({ channel: BRIDGE_CHANNEL, ...message }, "*");
+    };
+
+    const rejectPending = (reason) => {
+      pendingRequests.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(new Error(reason));
+      });
+      pendingRequests.clear();
+    };
+
+    const handleRequest = async (message) => {
+      const handler = requestHandlers.get(message.type);
+      try {
+        if (!handler) {
+          throw new Error(`No handler for "${message.type}"`);
+        }
+        const payload = await handler(message.payload, windowData);
+        post({ kind: "response", id: message.id, payload });
+      } catch (error) {
+        post({
+          kind: "response",
+          id: message.id,
+          error: error && error.message ? error.message : String(error),
+        });
+      }
+    };
+
+    const onMessage = (e) => {
+      const data = e.data;
+      if (
+        !windowData.frame ||
+        e.source !== windowData.frame.contentWindow ||
+        !data ||
+        data.channel !== BRIDGE_CHANNEL
+      ) {
+        return;
+      }
+
+      switch (data.kind) {
+        case "ready": {
+          // A second ready means the frame reloaded, give it its state back
+          const reloaded = hasBeenReady;
+          hasBeenReady = true;
+          bridge.isReady = true;
+          if (reloaded && bridge.state !== undefined) {
+            post({ kind: "restore", payload: bridge.state });
+          }
+          const queued = queue;
+          queue = [];
+          queued.forEach(post);
+          break;
+        }
+        case "state":
+          bridge.state = data.payload;
+          break;
+        case "request":
+          handleRequest(data);
+          break;
+        case "response": {
+          const pending = pendingRequests.get(data.id);
+          if (!pending) return;
+          pendingRequests.delete(data.id);
+          clearTimeout(pending.timer);
+          if (data.error) {
+            pending.reject(new Error(data.error));
+          } else {
+            pending.resolve(data.payload);
+          }
+          break;
+        }
+        case "event":
+          (eventHandlers.get(data.type) || []).forEach((handler) => {
+            try {
+              handler(data.payload, windowData);
+            } catch (error) {
+              console.error(`Error in "${data.type}" frame event handler:`, error);
+            }
+          });
+          break;
+      }
+    };
+
+    const bridge = {
+      isReady: false,
+      state: undefined, // Last state the frame saved, handed back after a reload
+
+      request(type, payload, { timeout = BRIDGE_REQUEST_TIMEOUT } = {}) {
+        return new Promise((resolve, reject) => {
+          const id = ++requestIdCounter;
+          const timer = setTimeout(() => {
+            pendingRequests.delete(id);
+            reject(new Error(`Frame request "${type}" timed out`));
+          }, timeout);
+          pendingRequests.set(id, { resolve, reject, timer });
+          post({ kind: "request", id, type, payload });
+        });
+      },
+
+      send(type, payload) {
+        post({ kind: "event", type, payload });
+      },
+
+      handle(type, handler) {
+        requestHandlers.set(type, handler);
+        return () => {
+          if (requestHandlers.get(type) === handler) {
+            requestHandlers.delete(type);
+          }
+        };
+      },
+
+      on(type, handler) {
+        if (!eventHandlers.has(type)) {
+          eventHandlers.set(type, new Set());
+        }
+        eventHandlers.get(type).add(handler);
+        return () => eventHandlers.get(type).delete(handler);
+      },
+
+      // Messages from the frame arrive at the browser window it is in
+      listen() {
+        const view = windowData.element.ownerDocument.defaultView;
+        if (view === listeningView) return;
+        if (listeningView) {
+          listeningView.removeEventListener("message", onMessage);
+        }
+        listeningView = view;
+        if (view) {
+          view.addEventListener("message", onMessage);
+        }
+      },
+
+      frameWillReload() {
+        bridge.isReady = false;
+        rejectPending("Frame reloaded");
+      },
+
+      dispose() {
+        bridge.isReady = false;
+        queue = [];
+        rejectPending("Window closed");
+        if (listeningView) {
+          listeningView.removeEventListener("message", onMessage);
+          listeningView = null;
+        }
+      },
+    };
+
+    return bridge;
+  },
+
+  getContentRoot(windowData) {
+    return windowData.shadowRoot || windowData.element;
+  },
+
+  adoptWindowStyles(windowId, styles) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData || !windowData.shadowRoot) {
+      console.warn(`Window "${windowId}" does not use shadow isolation.`);
+      return;
+    }
+
+    windowData.shadowStyles.push(...(Array.isArray(styles) ? styles : [styles]));
+    windowData.shadowStylesDocument = null;
+    this.applyShadowStyles(windowData);
+  },
+
+  applyShadowStyles(windowData) {
+    const root = windowData.shadowRoot;
+    if (!root) return;
+
+    // Constructed sheets can't be shared across documents, so they are
+    // rebuilt whenever the window moves to or from a popup
+    const ownerDocument = root.ownerDocument;
+    if (windowData.shadowStylesDocument === ownerDocument) return;
+    windowData.shadowStylesDocument = ownerDocument;
+
+    const view = ownerDocument.defaultView;
+    const styleText = (style) =>
+      typeof style === "string"
+        ? style
+        : Array.from(style.cssRules, (rule) => rule.cssText).join("\n");
+
+    root
+      .querySelectorAll("style[data-window-manager-adopted]")
+      .forEach((styleElement) => styleElement.remove());
+
+    try {
+      if (
+        "adoptedStyleSheets" in root &&
+        view &&
+        view.CSSStyleSheet &&
+        "replaceSync" in view.CSSStyleSheet.prototype
+      ) {
+        root.adoptedStyleSheets = windowData.shadowStyles.map((style) => {
+          if (typeof style !== "string" && ownerDocument === document) {
+            return style;
+          }
+          const sheet = new view.CSSStyleSheet();
+          sheet.replaceSync(styleText(style));
+          return sheet;
+        });
+      } else {
+        // Older browsers get plain style elements at the top of the shadow root
+        windowData.shadowStyles
+          .slice()
+          .reverse()
+          .forEach((style) => {
+            const styleElement = ownerDocument.createElement("style");
+            styleElement.dataset.windowManagerAdopted = "";
+            styleElement.textContent = styleText(style);
+            root.prepend(styleElement);
+          });
+      }
+    } catch (error) {
+      console.error("Error adopting window styles:", error);
+    }
+  },
+
+  mountWindowContent(windowData) {
+    const content = windowData.content;
+
+    try {
+      if (typeof content === "function") {
+        // Render functions may return a cleanup function
+        const cleanup = content(this.getContentRoot(windowData));
+        if (typeof cleanup === "function") {
+          windowData.unmountContent = cleanup;
+        }
+      } else if (content && typeof content.mount === "function") {
+        content.mount(this.getContentRoot(windowData));
+        if (typeof content.unmount === "function") {
+          windowData.unmountContent = () => content.unmount();
+        }
+      }
+    } catch (error) {
+      console.error("Error mounting window content:", error);
+    }
+  },
+
+  unmountWindowContent(windowData) {
+    const unmount = windowData.unmountContent;
+    if (!unmount) return;
+
+    windowData.unmountContent = null;
+    try {
+      unmount();
+    } catch (error) {
+      console.error("Error unmounting window content:", error);
+    }
+  },
+
+  setTheme(theme) {
+    const tokens = this.resolveTheme(theme);
+    if (!tokens) return;
+
+    // Variables on the root element reach every container, the minimized
+    // dock and, through the style sync, every popup
+    this.theme = tokens;
+    this.applyThemeTokens(document.documentElement, tokens);
+    this.emit("theme:changed", { theme: tokens });
+  },
+
+  setWindowTheme(windowId, theme) {
+    const windowData = this.windows.get(windowId);
+    const tokens = this.resolveTheme(theme);
+    if (!windowData || !tokens) return;
+
+    windowData.theme = tokens;
+    [windowData.element, windowData.tabElement].forEach((element) => {
+      if (element) this.applyThemeTokens(element, tokens);
+    });
+    if (windowData.popupWindow && !windowData.popupWindow.closed) {
+      const header = windowData.popupWindow.document.getElementById("header");
+      if (header) this.applyThemeTokens(header, tokens);
+    }
+  },
+
+  resolveTheme(theme) {
+    // null or "editor" follows the editor's colors
+    if (theme === null || theme === undefined || theme === "editor") {
+      return {};
+    }
+
+    if (typeof theme === "string") {
+      if (!THEME_PRESETS[theme]) {
+        console.warn(`Unknown theme preset: ${theme}`);
+        return null;
+      }
+      theme = { preset: theme };
+    }
+
+    if (typeof theme !== "object") {
+      console.warn("Invalid theme, expected a preset name or token object.");
+      return null;
+    }
+
+    // Custom palettes can start from a preset and override some tokens
+    const { preset, ...overrides } = theme;
+    if (preset && !THEME_PRESETS[preset]) {
+      console.warn(`Unknown theme preset: ${preset}`);
+      return null;
+    }
+
+    const tokens = {};
+    Object.entries({ ...THEME_PRESETS[preset], ...overrides }).forEach(
+      ([name, value]) => {
+        if (!THEME_TOKENS.includes(name)) {
+          console.warn(`Unknown theme token: ${name}`);
+          return;
+        }
+        if (value !== null && value !== undefined) {
+          tokens[name] = String(value);
+        }
+      }
+    );
+
+    // Translucent highlights need the accent as separate channels
+    if (tokens.accent && !tokens.accentRgb) {
+      const accentRgb = hexToRgb(tokens.accent);
+      if (accentRgb) tokens.accentRgb = accentRgb;
+    }
+
+    return tokens;
+  },
+
+  applyThemeTokens(element, tokens) {
+    THEME_TOKENS.forEach((name) => {
+      const property =
+        "--wm-" + name.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase());
+      if (tokens[name] !== undefined) {
+        element.style.setProperty(property, tokens[name]);
+      } else {
+        element.style.removeProperty(property);
+      }
+    });
+  },
+
+  setShortcuts(shortcuts) {
+    // Actions set to null or false are disabled
+    this.shortcuts = { ...this.shortcuts, ...shortcuts };
+  },
+
+  matchesShortcut(e, shortcut) {
+    const bindings = Array.isArray(shortcut) ? shortcut : [shortcut];
+
+    return bindings.some((binding) => {
+      if (typeof binding !== "string" || !binding) return false;
+
+      const parts = binding.split("+").map((part) => part.trim().toLowerCase());
+      const key = parts.pop();
+      return (
+        e.key.toLowerCase() === key &&
+        e.ctrlKey === parts.includes("ctrl") &&
+        e.shiftKey === parts.includes("shift") &&
+        e.altKey === parts.includes("alt") &&
+        e.metaKey === parts.includes("meta")
+      );
+    });
+  },
+
+  setupKeyboardShortcuts(container) {
+    container.addEventListener("keydown", (e) => {
+      // Content that handled the key itself keeps it
+      if (e.defaultPrevented) return;
+
+      const containerId = container.dataset.containerId;
+      const handled =
+        this.keyboardMode && this.keyboardMode.containerId === containerId
+          ? this.handleKeyboardModeKey(e)
+          : this.handleShortcut(e, containerId);
+
+      // Handled shortcuts never reach the editor's own shortcuts
+      if (handled) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    });
+  },
+
+  handleShortcut(e, containerId) {
+    const action = Object.keys(this.shortcuts).find((name) =>
+      this.matchesShortcut(e, this.shortcuts[name])
+    );
+    if (!action) return false;
+
+    const containerData = this.containers.get(containerId);
+    const windowId = containerData && containerData.activeWindowId;
+
+    // Modals can only be closed, moved and resized
+    if (
+      containerData &&
+      containerData.isModal &&
+      !["closeWindow", "move", "resize"].includes(action)
+    ) {
+      return false;
+    }
+
+    // Popped out containers are placed by their browser window
+    if (
+      containerData &&
+      containerData.popupWindow &&
+      !["nextTab", "previousTab", "closeWindow"].includes(action)
+    ) {
+      return false;
+    }
+
+    switch (action) {
+      case "nextTab":
+        this.cycleTab(containerId, 1);
+        break;
+      case "previousTab":
+        this.cycleTab(containerId, -1);
+        break;
+      case "nextContainer":
+        this.cycleContainer(containerId, 1);
+        break;
+      case "previousContainer":
+        this.cycleContainer(containerId, -1);
+        break;
+      case "closeWindow":
+        if (windowId) this.closeWindow(windowId);
+        break;
+      case "minimize":
+        this.minimizeContainer(containerId);
+        break;
+      case "maximize":
+        this.toggleMaximizeContainer(containerId);
+        break;
+      case "popOut":
+        if (windowId) this.popOutWindow(windowId);
+        break;
+      case "move":
+      case "resize":
+        this.startKeyboardMode(containerId, action);
+        break;
+      default:
+        return false;
+    }
+    return true;
+  },
+
+  cycleTab(containerId, direction) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData) return;
+
+    // Cycle through the visible tabs of the pane the user is working in
+    const pane = this.getPane(containerData, containerData.activePaneId);
+    const windowIds = Array.from(pane.tabsElement.children)
+      .map((tab) => this.windows.get(tab.dataset.windowId))
+      .filter((windowData) => windowData && !windowData.isInPopup)
+      .map((windowData) => windowData.id);
+    if (windowIds.length === 0) return;
+
+    const index = windowIds.indexOf(pane.activeWindowId);
+    const nextId =
+      windowIds[(index + direction + windowIds.length) % windowIds.length];
+    this.focusWindowInContainer(nextId, containerId);
+    this.focusContainerContent(containerId);
+  },
+
+  cycleContainer(containerId, direction) {
+    // Popped out containers are reached through their own browser window
+    const containerIds = Array.from(this.containers.values())
+      .filter((c) => !c.isMinimized && !c.popupWindow)
+      .map((c) => c.id);
+    if (containerIds.length === 0) return;
+
+    const index = containerIds.indexOf(containerId);
+    const nextId =
+      containerIds[
+        (index + direction + containerIds.length) % containerIds.length
+      ];
+    this.bringContainerToFront(nextId);
+    this.focusContainerContent(nextId);
+  },
+
+  focusContainerContent(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData) return;
+
+    // Move keyboard focus into the active window so shortcuts keep working
+    const windowData = this.windows.get(containerData.activeWindowId);
+    const target = (windowData && windowData.element) || containerData.element;
+    if (!target.hasAttribute("tabindex")) {
+      target.tabIndex = -1;
+    }
+    target.focus();
+  },
+
+  startKeyboardMode(containerId, type) {
+    const containerData = this.containers.get(containerId);
+    if (
+      !containerData ||
+      containerData.dockEdge ||
+      containerData.isMaximized ||
+      containerData.isFullscreen ||
+      (type === "resize" && containerData.isRolledUp)
+    ) {
+      return;
+    }
+
+    // Leaving the container or clicking anywhere cancels the mode
+    const element = containerData.element;
+    const onFocusOut = (e) => {
+      if (!element.contains(e.relatedTarget)) this.endKeyboardMode(false);
+    };
+    const onMouseDown = () => this.endKeyboardMode(false);
+
+    this.keyboardMode = {
+      containerId,
+      type,
+      startGeometry: this.getContainerGeometry(element),
+      cleanup: () => {
+        element.removeEventListener("focusout", onFocusOut);
+        document.removeEventListener("mousedown", onMouseDown, true);
+      },
+    };
+    element.classList.add(`window-manager-keyboard-${type}`);
+    this.focusContainerContent(containerId);
+    element.addEventListener("focusout", onFocusOut);
+    document.addEventListener("mousedown", onMouseDown, true);
+  },
+
+  handleKeyboardModeKey(e) {
+    const { containerId, type } = this.keyboardMode;
+    const containerData = this.containers.get(containerId);
+    if (!containerData) {
+      this.endKeyboardMode(false);
+      return false;
+    }
+
+    if (e.key === "Enter" || e.key === "Escape") {
+      this.endKeyboardMode(e.key === "Enter");
+      return true;
+    }
+
+    const step = e.shiftKey ? KEYBOARD_STEP_FINE : KEYBOARD_STEP;
+    const deltas = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
+    };
+    if (!deltas[e.key]) return false; // Other keys go to the content as usual
+
+    const [deltaX, deltaY] = deltas[e.key];
+    const element = containerData.element;
+    const geometry = this.getContainerGeometry(element);
+
+    if (type === "move") {
+      element.style.left = geometry.left + deltaX + "px";
+      element.style.top = Math.max(0, geometry.top + deltaY) + "px";
+    } else {
+      element.style.width =
+        Math.max(MIN_CONTAINER_WIDTH, geometry.width + deltaX) + "px";
+      element.style.height =
+        Math.max(MIN_CONTAINER_HEIGHT, geometry.height + deltaY) + "px";
+    }
+    return true;
+  },
+
+  endKeyboardMode(commit = true) {
+    if (!this.keyboardMode) return;
+
+    const { containerId, type, startGeometry, cleanup } = this.keyboardMode;
+    this.keyboardMode = null;
+    cleanup();
+
+    const containerData = this.containers.get(containerId);
+    if (!containerData) return;
+
+    const element = containerData.element;
+    element.classList.remove(`window-manager-keyboard-${type}`);
+
+    // Cancelling puts the container back where the mode started
+    if (!commit) {
+      element.style.left = startGeometry.left + "px";
+      element.style.top = startGeometry.top + "px";
+      element.style.width = startGeometry.width + "px";
+      element.style.height = startGeometry.height + "px";
+      return;
+    }
+
+    this.constrainToViewport(element);
+    this.saveContainerGeometry(containerId);
+    if (type === "move") {
+      this.emit("container:moved", {
+        containerId,
+        left: element.offsetLeft,
+        top: element.offsetTop,
+      });
+    } else {
+      // A resized container keeps its new size when dragged out of a snap zone
+      containerData.preSnapSize = null;
+
+      const size = { width: element.offsetWidth, height: element.offsetHeight };
+      this.emit("container:resized", { containerId, ...size });
+      this.windows.forEach((windowData) => {
+        if (windowData.containerId === containerId) {
+          this.emit("window:resized", {
+            windowId: windowData.id,
+            containerId,
+            ...size,
+          });
+        }
+      });
+    }
+  },
+
+  setupEventIsolation(element) {
+    const mouseEvents = [
+      "mousedown",
+      "mouseup",
+      "mousemove",
+      "click",
+      "dblclick",
+      "contextmenu",
+      "wheel",
+    ];
+    mouseEvents.forEach((eventType) => {
+      element.addEventListener(eventType, (e) => {
+        if (e.target !== element && !element.contains(e.target)) {
+          e.stopPropagation();
+        }
+      });
+    });
+
+    // Stop propagation for pointer events
+    const pointerEvents = [
       "pointerdown",
       "pointerup",
       "pointermove",
@@ -378,11 +2100,21 @@ export const DialogManager = {
     tab.className = "window-manager-dialog-tab";
     tab.dataset.windowId = windowData.id;
     tab.draggable = true;
+    tab.id = `window-manager-tab-${windowData.id}`;
+    tab.tabIndex = -1; // Only the active tab is a tab stop
+    tab.setAttribute("role", "tab");
+    tab.setAttribute("aria-selected", "false");
+    tab.setAttribute("aria-controls", `window-manager-panel-${windowData.id}`);
+    this.applyThemeTokens(tab, windowData.theme);
     tab.innerHTML = `
-      <span class="window-manager-tab-title">${windowData.title}</span>
-      <button class="window-manager-tab-popout" title="Pop out to browser window">⧉</button>
-      <button class="window-manager-tab-close" title="Close">×</button>
+      <span class="window-manager-tab-title"></span>
+      <button class="window-manager-tab-popout" title="Pop out to browser window" aria-label="Pop out to browser window" tabindex="-1">⧉</button>
+      <button class="window-manager-tab-close" title="Close" aria-label="Close" tabindex="-1">×</button>
     `;
+    this.renderWindowTitle(
+      tab.querySelector(".window-manager-tab-title"),
+      windowData
+    );
 
     // Pop-out button handler
     tab
@@ -405,6 +2137,58 @@ export const DialogManager = {
       this.focusWindowInContainer(windowData.id, windowData.containerId);
     });
 
+    // Double-clicking a preview tab keeps it
+    tab.addEventListener("dblclick", () => {
+      this.setWindowPreview(windowData.id, false);
+    });
+
+    tab.addEventListener("contextmenu", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      // The context menu key reports no pointer position, open below the tab
+      let { clientX: x, clientY: y } = e;
+      if (x === 0 && y === 0) {
+        const rect = tab.getBoundingClientRect();
+        x = rect.left;
+        y = rect.bottom;
+      }
+      this.showTabContextMenu(windowData.id, x, y);
+    });
+
+    // Enter or Space on a focused tab switches to it, arrow keys move
+    // between the tabs of the strip
+    tab.addEventListener("keydown", (e) => {
+      if (e.target !== tab) return;
+
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        this.focusWindowInContainer(windowData.id, windowData.containerId);
+        return;
+      }
+
+      const tabs = Array.from(tab.parentElement.children).filter(
+        (t) =>
+          t.classList.contains("window-manager-dialog-tab") &&
+          t.style.display !== "none"
+      );
+      const index = tabs.indexOf(tab);
+      const nextTab = {
+        ArrowLeft: tabs[(index - 1 + tabs.length) % tabs.length],
+        ArrowRight: tabs[(index + 1) % tabs.length],
+        Home: tabs[0],
+        End: tabs[tabs.length - 1],
+      }[e.key];
+      if (!nextTab || e.ctrlKey || e.altKey || e.metaKey) return;
+
+      e.preventDefault();
+      this.focusWindowInContainer(
+        nextTab.dataset.windowId,
+        windowData.containerId
+      );
+      nextTab.focus();
+    });
+
     // Tab drag start
     tab.addEventListener("dragstart", (e) => {
       this.handleTabDragStart(e, windowData, container);
@@ -425,9 +2209,9 @@ export const DialogManager = {
 
       if (draggedWindowId === targetWindowId) return;
 
-      // Check if merging from different container
-      if (this.dragState.sourceContainerId !== windowData.containerId) {
-        // Different container - show merge highlight
+      // Check if merging from different container or pane
+      if (this.dragState.sourcePaneId !== windowData.paneId) {
+        // Different pane - show merge highlight
         tab.classList.add("window-manager-window-manager-drop-target-tab");
       } else {
         // Same container - show reorder indicator
@@ -436,12 +2220,14 @@ export const DialogManager = {
         const insertBefore = e.clientX < midX;
 
         // Remove previous indicators from all tabs
-        document.querySelectorAll(".window-manager-dialog-tab").forEach((t) => {
-          t.classList.remove(
-            "window-manager-drop-indicator-before",
-            "window-manager-drop-indicator-after"
-          );
-        });
+        tab.ownerDocument
+          .querySelectorAll(".window-manager-dialog-tab")
+          .forEach((t) => {
+            t.classList.remove(
+              "window-manager-drop-indicator-before",
+              "window-manager-drop-indicator-after"
+            );
+          });
 
         // Add indicator to target tab
         if (insertBefore) {
@@ -480,11 +2266,23 @@ export const DialogManager = {
         "window-manager-drop-indicator-after"
       );
 
-      // Check if merging from different container
-      if (this.dragState.sourceContainerId !== windowData.containerId) {
-        // Merge into this container
-        const targetContainerId = windowData.containerId;
-        this.moveWindowToContainer(draggedWindowId, targetContainerId);
+      // Check if merging from different container or pane
+      if (this.dragState.sourcePaneId !== windowData.paneId) {
+        // Merge into this pane, next to the tab it was dropped on
+        const rect = tab.getBoundingClientRect();
+        const insertBefore = e.clientX < rect.left + rect.width / 2;
+
+        this.moveWindowToContainer(
+          draggedWindowId,
+          windowData.containerId,
+          windowData.paneId
+        );
+        this.reorderTab(
+          draggedWindowId,
+          targetWindowId,
+          insertBefore,
+          container
+        );
       } else {
         // Reorder tabs in same container
         const rect = tab.getBoundingClientRect();
@@ -503,10 +2301,18 @@ export const DialogManager = {
     });
 
     windowData.tabElement = tab;
-    const tabsContainer = container.querySelector(
-      ".window-manager-dialog-tabs"
+    const tabsContainer = this.getPane(
+      this.containers.get(container.dataset.containerId),
+      windowData.paneId
+    ).tabsElement;
+
+    // Pinned tabs join the other pinned tabs at the start of the strip
+    tab.classList.toggle("window-manager-tab-preview", windowData.isPreview);
+    this.updatePinnedTab(windowData);
+    tabsContainer.insertBefore(
+      tab,
+      windowData.isPinned ? this.getFirstUnpinnedTab(tabsContainer, tab) : null
     );
-    tabsContainer.appendChild(tab);
 
     // Setup tabs container as drop zone (only once per container)
     if (!tabsContainer.dataset.dropZoneSetup) {
@@ -515,6 +2321,147 @@ export const DialogManager = {
     }
   },
 
+  setupTabStrip(pane) {
+    const tabsElement = pane.tabsElement;
+
+    // The strip holds the tabs between their scroll buttons, which only
+    // show once the tabs don't fit
+    const strip = document.createElement("div");
+    strip.className = "window-manager-tabs-strip";
+    strip.innerHTML = `
+      <button class="window-manager-tabs-scroll window-manager-tabs-scroll-left" title="Scroll tabs left" aria-label="Scroll tabs left" tabindex="-1">‹</button>
+      <button class="window-manager-tabs-scroll window-manager-tabs-scroll-right" title="Scroll tabs right" aria-label="Scroll tabs right" tabindex="-1">›</button>
+      <button class="window-manager-tabs-list" title="Show all tabs" aria-label="Show all tabs" aria-haspopup="menu">⌄</button>
+    `;
+    if (tabsElement.parentNode) {
+      tabsElement.replaceWith(strip);
+    }
+    const scrollLeftButton = strip.querySelector(
+      ".window-manager-tabs-scroll-left"
+    );
+    const scrollRightButton = strip.querySelector(
+      ".window-manager-tabs-scroll-right"
+    );
+    strip.insertBefore(tabsElement, scrollRightButton);
+    pane.stripElement = strip;
+
+    [
+      [scrollLeftButton, -1],
+      [scrollRightButton, 1],
+    ].forEach(([button, direction]) => {
+      button.addEventListener("click", () => {
+        tabsElement.scrollBy({
+          left: direction * tabsElement.clientWidth * 0.8,
+          behavior: "smooth",
+        });
+      });
+
+      // Holding a dragged tab over a button keeps scrolling
+      button.addEventListener("dragover", () => {
+        if (this.dragState) {
+          tabsElement.scrollLeft += direction * TAB_SCROLL_STEP;
+        }
+      });
+    });
+
+    strip
+      .querySelector(".window-manager-tabs-list")
+      .addEventListener("click", (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        this.showTabList(pane, rect.left, rect.bottom);
+      });
+
+    tabsElement.addEventListener("scroll", () => {
+      this.updateTabOverflow(tabsElement);
+    });
+
+    // The vertical wheel scrolls the tabs sideways, line based deltas are
+    // converted to pixels
+    tabsElement.addEventListener("wheel", (e) => {
+      if (tabsElement.scrollWidth <= tabsElement.clientWidth) return;
+      if (Math.abs(e.deltaX) >= Math.abs(e.deltaY)) return;
+
+      e.preventDefault();
+      tabsElement.scrollLeft += e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    });
+
+    // Dragging a tab near either edge scrolls the strip, before the tab
+    // under the pointer handles the event
+    tabsElement.addEventListener(
+      "dragover",
+      (e) => {
+        if (!this.dragState) return;
+
+        const rect = tabsElement.getBoundingClientRect();
+        if (e.clientX < rect.left + TAB_SCROLL_EDGE) {
+          tabsElement.scrollLeft -= TAB_SCROLL_STEP;
+        } else if (e.clientX > rect.right - TAB_SCROLL_EDGE) {
+          tabsElement.scrollLeft += TAB_SCROLL_STEP;
+        }
+      },
+      true
+    );
+
+    if (!this.tabStripObserver) {
+      this.tabStripObserver = new ResizeObserver((entries) => {
+        entries.forEach((entry) => this.updateTabOverflow(entry.target));
+      });
+    }
+    this.tabStripObserver.observe(tabsElement);
+  },
+
+  updateTabOverflow(tabsElement) {
+    const strip = tabsElement.parentNode;
+    if (!strip || !strip.classList.contains("window-manager-tabs-strip")) {
+      return;
+    }
+
+    const { scrollLeft, scrollWidth, clientWidth } = tabsElement;
+    strip.classList.toggle(
+      "window-manager-tabs-overflowing",
+      scrollWidth > clientWidth + 1
+    );
+    strip.querySelector(".window-manager-tabs-scroll-left").disabled =
+      scrollLeft <= 0;
+    strip.querySelector(".window-manager-tabs-scroll-right").disabled =
+      scrollLeft + clientWidth >= scrollWidth - 1;
+  },
+
+  scrollTabIntoView(windowData) {
+    const tab = windowData.tabElement;
+    const tabsElement = tab && tab.parentNode;
+    if (!tabsElement || tab.style.display === "none") return;
+
+    const tabRect = tab.getBoundingClientRect();
+    const stripRect = tabsElement.getBoundingClientRect();
+    if (tabRect.left < stripRect.left) {
+      tabsElement.scrollLeft -= stripRect.left - tabRect.left;
+    } else if (tabRect.right > stripRect.right) {
+      tabsElement.scrollLeft += tabRect.right - stripRect.right;
+    }
+  },
+
+  showTabList(pane, x, y) {
+    const windows = Array.from(pane.tabsElement.children)
+      .filter((tab) => tab.style.display !== "none")
+      .map((tab) => this.windows.get(tab.dataset.windowId))
+      .filter(Boolean);
+    if (windows.length === 0) return;
+
+    this.showContextMenu(
+      windows.map((windowData) => ({
+        label: this.getWindowDisplayTitle(windowData),
+        checked: windowData.id === pane.activeWindowId,
+        action: () =>
+          this.focusWindowInContainer(windowData.id, windowData.containerId),
+      })),
+      x,
+      y,
+      pane.tabsElement.ownerDocument,
+      { search: windows.length >= TAB_LIST_SEARCH_THRESHOLD }
+    );
+  },
+
   setupTabsContainerDropZone(tabsContainer, container) {
     tabsContainer.addEventListener("dragover", (e) => {
       if (!this.dragState) return;
@@ -531,9 +2478,8 @@ export const DialogManager = {
       e.preventDefault();
       e.stopPropagation();
 
-      // Only show drop target for merging from different container
-      const targetContainerId = container.dataset.containerId;
-      if (this.dragState.sourceContainerId !== targetContainerId) {
+      // Only show drop target for merging from different container or pane
+      if (this.dragState.sourcePaneId !== tabsContainer.dataset.paneId) {
         tabsContainer.classList.add(
           "window-manager-tabs-window-manager-drop-target"
         );
@@ -569,22 +2515,25 @@ export const DialogManager = {
         "window-manager-tabs-window-manager-drop-target"
       );
 
-      const { windowId, sourceContainerId } = this.dragState;
+      const { windowId, sourcePaneId } = this.dragState;
       const targetContainerId = container.dataset.containerId;
+      const targetPaneId = tabsContainer.dataset.paneId;
 
-      // Don't merge into the same container
-      if (sourceContainerId === targetContainerId) return;
+      // Don't merge into the same pane
+      if (sourcePaneId === targetPaneId) return;
 
-      // Merge into this container
-      this.moveWindowToContainer(windowId, targetContainerId);
+      // Merge into this pane
+      this.moveWindowToContainer(windowId, targetContainerId, targetPaneId);
       this.dragState = null;
     });
   },
 
   handleTabDragStart(e, windowData, container) {
+    this.setWindowPreview(windowData.id, false);
     this.dragState = {
       windowId: windowData.id,
       sourceContainerId: container.dataset.containerId,
+      sourcePaneId: windowData.paneId,
       startX: e.clientX,
       startY: e.clientY,
       draggedTab: windowData.tabElement,
@@ -612,38 +2561,52 @@ export const DialogManager = {
     // Remove all highlight classes
     this.containers.forEach((containerData) => {
       containerData.element.classList.remove("window-manager-drop-target");
-      const tabsContainer = containerData.element.querySelector(
-        ".window-manager-dialog-tabs"
-      );
-      if (tabsContainer) {
-        tabsContainer.classList.remove(
+      containerData.panes.forEach((pane) => {
+        pane.tabsElement.classList.remove(
           "window-manager-tabs-window-manager-drop-target"
         );
-      }
+      });
     });
 
-    document.querySelectorAll(".window-manager-dialog-tab").forEach((tab) => {
-      tab.classList.remove(
-        "window-manager-window-manager-drop-target-tab",
-        "window-manager-tab-dragging",
-        "window-manager-drop-indicator-before",
-        "window-manager-drop-indicator-after"
-      );
-    });
+    // Tabs dragged from a popup live in the popup's document
+    const draggedTab = this.dragState.draggedTab;
+    const fromPopup = !!draggedTab && draggedTab.ownerDocument !== document;
+    const documents = new Set([document]);
+    if (draggedTab) {
+      documents.add(draggedTab.ownerDocument);
+    }
 
-    // Remove any drop indicators
-    document.querySelectorAll(".tab-drop-indicator").forEach((indicator) => {
-      indicator.remove();
+    documents.forEach((ownerDocument) => {
+      ownerDocument
+        .querySelectorAll(".window-manager-dialog-tab")
+        .forEach((tab) => {
+          tab.classList.remove(
+            "window-manager-window-manager-drop-target-tab",
+            "window-manager-tab-dragging",
+            "window-manager-drop-indicator-before",
+            "window-manager-drop-indicator-after"
+          );
+        });
+
+      // Remove any drop indicators
+      ownerDocument
+        .querySelectorAll(".tab-drop-indicator")
+        .forEach((indicator) => {
+          indicator.remove();
+        });
     });
+    this.hideDropPreview();
 
     // Use event coordinates if available, otherwise use tracked position
     const mouseX = e ? e.clientX : this.dragState.currentX;
     const mouseY = e ? e.clientY : this.dragState.currentY;
 
-    // Check if dropped outside any container - create new window
-    if (mouseX !== undefined && mouseY !== undefined) {
+    // Check if dropped outside any container - create new window. Drags from
+    // a popup report positions in the popup, so they stay there
+    if (mouseX !== undefined && mouseY !== undefined && !fromPopup) {
       const droppedOnContainer = Array.from(this.containers.values()).some(
         (containerData) => {
+          if (containerData.popupWindow) return false;
           const rect = containerData.element.getBoundingClientRect();
           return (
             mouseX >= rect.left &&
@@ -661,67 +2624,526 @@ export const DialogManager = {
           top: mouseY - DRAG_OFFSET_Y,
         });
       }
-    }
+    }
+
+    this.dragState = null;
+  },
+
+  reorderTab(draggedWindowId, targetWindowId, insertBefore, container) {
+    const draggedWindow = this.windows.get(draggedWindowId);
+    const targetWindow = this.windows.get(targetWindowId);
+
+    if (!draggedWindow || !targetWindow) return;
+    if (draggedWindow.paneId !== targetWindow.paneId) return;
+
+    const draggedTab = draggedWindow.tabElement;
+    const targetTab = targetWindow.tabElement;
+    const tabsContainer = targetTab.parentElement;
+
+    // Remove any drag-related classes
+    draggedTab.classList.remove(
+      "window-manager-tab-dragging",
+      "window-manager-drop-indicator-before",
+      "window-manager-drop-indicator-after"
+    );
+    targetTab.classList.remove(
+      "window-manager-drop-indicator-before",
+      "window-manager-drop-indicator-after"
+    );
+
+    if (insertBefore) {
+      tabsContainer.insertBefore(draggedTab, targetTab);
+    } else {
+      tabsContainer.insertBefore(draggedTab, targetTab.nextSibling);
+    }
+
+    // Pinned and unpinned tabs don't mix, a tab dropped among the others
+    // goes to the edge of its own group
+    const previousWindow = draggedTab.previousElementSibling
+      ? this.windows.get(draggedTab.previousElementSibling.dataset.windowId)
+      : null;
+    const nextWindow = draggedTab.nextElementSibling
+      ? this.windows.get(draggedTab.nextElementSibling.dataset.windowId)
+      : null;
+    if (
+      (draggedWindow.isPinned && previousWindow && !previousWindow.isPinned) ||
+      (!draggedWindow.isPinned && nextWindow && nextWindow.isPinned)
+    ) {
+      tabsContainer.insertBefore(
+        draggedTab,
+        this.getFirstUnpinnedTab(tabsContainer, draggedTab)
+      );
+    }
+
+    this.emit("tab:reordered", {
+      windowId: draggedWindowId,
+      containerId: draggedWindow.containerId,
+      order: Array.from(
+        tabsContainer.querySelectorAll(".window-manager-dialog-tab")
+      ).map((tab) => tab.dataset.windowId),
+    });
+  },
+
+  getFirstUnpinnedTab(tabsContainer, exceptTab = null) {
+    return (
+      Array.from(tabsContainer.children).find((tab) => {
+        const windowData = this.windows.get(tab.dataset.windowId);
+        return tab !== exceptTab && windowData && !windowData.isPinned;
+      }) || null
+    );
+  },
+
+  setWindowPinned(windowId, pinned) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData) return;
+
+    windowData.isPinned = !!pinned;
+    if (windowData.isPinned) {
+      this.setWindowPreview(windowId, false);
+    }
+    this.updatePinnedTab(windowData);
+
+    const tab = windowData.tabElement;
+    if (tab && tab.parentNode) {
+      // Pinning moves the tab to the end of the pinned tabs, unpinning to
+      // the start of the others
+      const tabsContainer = tab.parentNode;
+      tabsContainer.insertBefore(
+        tab,
+        this.getFirstUnpinnedTab(tabsContainer, tab)
+      );
+    }
+
+    this.emit(windowData.isPinned ? "tab:pinned" : "tab:unpinned", {
+      windowId,
+      containerId: windowData.containerId,
+    });
+  },
+
+  updatePinnedTab(windowData) {
+    const tab = windowData.tabElement;
+    if (!tab) return;
+
+    // Pinned tabs only show their icon, their name moves to the tooltip
+    const iconOnly = windowData.isPinned && !!windowData.icon;
+    tab.classList.toggle("window-manager-tab-pinned", windowData.isPinned);
+    tab.classList.toggle("window-manager-tab-icon-only", iconOnly);
+    if (iconOnly) {
+      const title = this.getWindowDisplayTitle(windowData);
+      tab.title = title;
+      tab.setAttribute("aria-label", title);
+    } else {
+      tab.removeAttribute("title");
+      tab.removeAttribute("aria-label");
+    }
+  },
+
+  async closeWindows(windowIds) {
+    // One at a time so close guards never prompt on top of each other
+    let allClosed = true;
+    for (const windowId of windowIds) {
+      if (!(await this.closeWindow(windowId))) {
+        allClosed = false;
+      }
+    }
+    return allClosed;
+  },
+
+  getTabContextMenuItems(windowId) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData) return [];
+
+    const containerId = windowData.containerId;
+    const containerData = this.containers.get(containerId);
+    if (!containerData) return [];
+
+    // Bulk actions leave pinned tabs open
+    const siblings = Array.from(this.windows.values()).filter(
+      (w) => w.containerId === containerId && w.id !== windowId && !w.isInPopup
+    );
+    const closable = (w) => w.id !== windowId && !w.isPinned && !w.isInPopup;
+    const others = siblings.filter(closable).map((w) => w.id);
+    const stripTabs = windowData.tabElement
+      ? Array.from(windowData.tabElement.parentNode.children)
+      : [];
+    const toTheRight = stripTabs
+      .slice(stripTabs.indexOf(windowData.tabElement) + 1)
+      .map((tab) => this.windows.get(tab.dataset.windowId))
+      .filter((w) => w && closable(w))
+      .map((w) => w.id);
+
+    // Other containers are named after their tabs, like minimized dock items
+    const moveTargets = Array.from(this.containers.values())
+      .filter((c) => c.id !== containerId && !c.isModal)
+      .map((c) => ({
+        label: Array.from(this.windows.values())
+          .filter((w) => w.containerId === c.id && !w.isInPopup)
+          .map((w) => w.title)
+          .join(", "),
+        action: () => this.moveWindowToContainer(windowId, c.id),
+      }))
+      .filter((item) => item.label);
+
+    const inEditor = !containerData.popupWindow && !containerData.isModal;
+    const items = [
+      { label: "Close", action: () => this.closeWindow(windowId) },
+      {
+        label: "Close others",
+        disabled: others.length === 0,
+        action: () => this.closeWindows(others),
+      },
+      {
+        label: "Close tabs to the right",
+        disabled: toTheRight.length === 0,
+        action: () => this.closeWindows(toTheRight),
+      },
+      {
+        label: "Close all",
+        action: () => this.closeContainer(containerId, true),
+      },
+      { separator: true },
+      {
+        label: "Pop out to browser window",
+        disabled: !inEditor,
+        action: () => this.popOutWindow(windowId),
+      },
+      {
+        label: "Move to new container",
+        disabled: containerData.isModal || siblings.length === 0,
+        action: () => this.popOutWindowToSeparateContainer(windowId),
+      },
+      {
+        label: "Move to",
+        disabled: moveTargets.length === 0,
+        items: moveTargets,
+      },
+      { separator: true },
+      containerData.isMinimized
+        ? {
+            label: "Restore",
+            action: () => this.restoreContainer(containerId),
+          }
+        : {
+            label: "Minimize",
+            disabled: !inEditor,
+            action: () => this.minimizeContainer(containerId),
+          },
+      {
+        label: windowData.isPinned ? "Unpin tab" : "Pin tab",
+        action: () => this.setWindowPinned(windowId, !windowData.isPinned),
+      },
+      { label: "Rename…", action: () => this.renameWindow(windowId) },
+    ];
+
+    // Entries contributed by the window itself
+    let extraItems = windowData.contextMenuItems;
+    if (typeof extraItems === "function") {
+      try {
+        extraItems = extraItems(windowData);
+      } catch (error) {
+        console.error("Error in contextMenuItems callback:", error);
+        extraItems = null;
+      }
+    }
+    if (Array.isArray(extraItems) && extraItems.length > 0) {
+      items.push({ separator: true }, ...extraItems);
+    }
+
+    return items;
+  },
+
+  async renameWindow(windowId) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData) return;
+
+    // Modals can't be shown in a popup, so popups use the browser's dialog
+    const popupWindow = this.getPopupWindow(windowData);
+    const title = popupWindow
+      ? popupWindow.prompt("Tab name", windowData.title)
+      : await this.prompt({
+          title: "Rename tab",
+          message: "Tab name",
+          defaultValue: windowData.title,
+          validate: (value) =>
+            value.trim() ? true : "The name can't be empty.",
+        });
+
+    if (title && title.trim() && this.windows.get(windowId) === windowData) {
+      this.updateWindowTitle(windowId, title.trim());
+    }
+  },
+
+  showTabContextMenu(windowId, x, y) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData) return;
+
+    const element = windowData.tabElement || windowData.element;
+    this.showContextMenu(
+      this.getTabContextMenuItems(windowId),
+      x,
+      y,
+      element ? element.ownerDocument : document
+    );
+  },
+
+  showContextMenu(items, x, y, ownerDocument = document, { search } = {}) {
+    this.closeContextMenu();
+
+    const view = ownerDocument.defaultView;
+    const returnFocusTo = ownerDocument.activeElement;
+    const menu = this.createContextMenuElement(items, ownerDocument, {
+      search,
+    });
+    menu.style.zIndex = MENU_Z_INDEX;
+    ownerDocument.body.appendChild(menu);
+
+    // Keep the menu inside the viewport
+    const rect = menu.getBoundingClientRect();
+    const left = Math.min(x, view.innerWidth - rect.width);
+    const top = Math.min(y, view.innerHeight - rect.height);
+    menu.style.left = Math.max(0, left) + "px";
+    menu.style.top = Math.max(0, top) + "px";
+
+    const onPointerDown = (e) => {
+      if (!menu.contains(e.target)) this.closeContextMenu();
+    };
+    const onViewChange = () => this.closeContextMenu();
+    ownerDocument.addEventListener("mousedown", onPointerDown, true);
+    view.addEventListener("blur", onViewChange);
+    view.addEventListener("resize", onViewChange);
+
+    this.contextMenu = {
+      element: menu,
+      cleanup: () => {
+        ownerDocument.removeEventListener("mousedown", onPointerDown, true);
+        view.removeEventListener("blur", onViewChange);
+        view.removeEventListener("resize", onViewChange);
+
+        const hadFocus = menu.contains(ownerDocument.activeElement);
+        menu.remove();
+        if (hadFocus && returnFocusTo && returnFocusTo.isConnected) {
+          returnFocusTo.focus();
+        }
+      },
+    };
+
+    const firstItem =
+      menu.querySelector(".window-manager-menu-search") ||
+      this.getMenuItems(menu)[0];
+    if (firstItem) firstItem.focus();
+  },
+
+  closeContextMenu() {
+    if (!this.contextMenu) return;
+
+    const { cleanup } = this.contextMenu;
+    this.contextMenu = null;
+    cleanup();
+  },
+
+  createContextMenuElement(items, ownerDocument, { search = false } = {}) {
+    const menu = ownerDocument.createElement("div");
+    menu.className = "window-manager-context-menu";
+    menu.setAttribute("role", "menu");
+
+    // Typing in the search field hides the entries that don't match
+    let searchInput = null;
+    if (search) {
+      searchInput = ownerDocument.createElement("input");
+      searchInput.type = "search";
+      searchInput.className = "window-manager-menu-search";
+      searchInput.placeholder = "Search";
+      searchInput.setAttribute("aria-label", "Search");
+      searchInput.addEventListener("input", () => {
+        const query = searchInput.value.trim().toLowerCase();
+        Array.from(menu.children).forEach((child) => {
+          if (child === searchInput) return;
+          child.hidden = child.classList.contains("window-manager-menu-item")
+            ? !child.textContent.toLowerCase().includes(query)
+            : !!query;
+        });
+      });
+      menu.appendChild(searchInput);
+    }
+
+    items.forEach((item) => {
+      if (item.separator) {
+        const separator = ownerDocument.createElement("div");
+        separator.className = "window-manager-menu-separator";
+        separator.setAttribute("role", "separator");
+        menu.appendChild(separator);
+        return;
+      }
+
+      const button = ownerDocument.createElement("button");
+      button.type = "button";
+      button.className = "window-manager-menu-item";
+      button.setAttribute("role", "menuitem");
+      button.tabIndex = -1;
+      button.textContent = item.label;
+      button.disabled = !!item.disabled;
+      if (item.checked !== undefined) {
+        button.setAttribute("role", "menuitemcheckbox");
+        button.setAttribute("aria-checked", item.checked ? "true" : "false");
+      }
+
+      if (item.items) {
+        // Submenus open on hover, click or the right arrow key
+        const wrapper = ownerDocument.createElement("div");
+        wrapper.className = "window-manager-menu-submenu";
+        button.setAttribute("aria-haspopup", "menu");
+        button.setAttribute("aria-expanded", "false");
+        wrapper.appendChild(button);
+        wrapper.appendChild(
+          this.createContextMenuElement(item.items, ownerDocument)
+        );
+
+        const setOpen = (open) => {
+          wrapper.classList.toggle("open", open);
+          button.setAttribute("aria-expanded", open ? "true" : "false");
+        };
+        wrapper.addEventListener("mouseenter", () => {
+          if (!button.disabled) setOpen(true);
+        });
+        wrapper.addEventListener("mouseleave", () => setOpen(false));
+        button.addEventListener("click", () => {
+          setOpen(true);
+          const firstItem = this.getMenuItems(wrapper.lastElementChild)[0];
+          if (firstItem) firstItem.focus();
+        });
+        menu.appendChild(wrapper);
+        return;
+      }
 
-    this.dragState = null;
-  },
+      button.addEventListener("click", () => {
+        this.closeContextMenu();
+        try {
+          Promise.resolve(item.action && item.action()).catch((error) => {
+            console.error("Error in context menu action:", error);
+          });
+        } catch (error) {
+          console.error("Error in context menu action:", error);
+        }
+      });
+      menu.appendChild(button);
+    });
 
-  reorderTab(draggedWindowId, targetWindowId, insertBefore, container) {
-    const draggedWindow = this.windows.get(draggedWindowId);
-    const targetWindow = this.windows.get(targetWindowId);
+    menu.addEventListener("keydown", (e) => {
+      // Nested menus handle their own keys
+      if (e.target.closest(".window-manager-context-menu") !== menu) return;
+      e.stopPropagation();
 
-    if (!draggedWindow || !targetWindow) return;
-    if (draggedWindow.containerId !== targetWindow.containerId) return;
+      // The search field keeps its editing keys, Enter picks the first match
+      if (e.target === searchInput) {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          const firstMatch = this.getMenuItems(menu)[0];
+          if (firstMatch) firstMatch.click();
+          return;
+        }
+        if (!["ArrowDown", "ArrowUp", "Escape", "Tab"].includes(e.key)) {
+          return;
+        }
+      }
 
-    const tabsContainer = container.querySelector(
-      ".window-manager-dialog-tabs"
-    );
-    const draggedTab = draggedWindow.tabElement;
-    const targetTab = targetWindow.tabElement;
+      const menuItems = this.getMenuItems(menu);
+      const index = menuItems.indexOf(e.target);
+      const parentWrapper = menu.parentNode;
+
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        // From the search field, the arrows go to the first or last item
+        const next =
+          index === -1
+            ? menuItems[step > 0 ? 0 : menuItems.length - 1]
+            : menuItems[(index + step + menuItems.length) % menuItems.length];
+        if (next) next.focus();
+      } else if (e.key === "Home" || e.key === "End") {
+        const next = menuItems[e.key === "Home" ? 0 : menuItems.length - 1];
+        if (next) next.focus();
+      } else if (
+        e.key === "ArrowRight" &&
+        e.target.getAttribute("aria-haspopup") === "menu"
+      ) {
+        e.target.click();
+      } else if (
+        e.key === "ArrowLeft" &&
+        parentWrapper.classList.contains("window-manager-menu-submenu")
+      ) {
+        parentWrapper.classList.remove("open");
+        parentWrapper.firstElementChild.setAttribute("aria-expanded", "false");
+        parentWrapper.firstElementChild.focus();
+      } else if (e.key === "Escape" || e.key === "Tab") {
+        this.closeContextMenu();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    });
 
-    // Remove any drag-related classes
-    draggedTab.classList.remove(
-      "window-manager-tab-dragging",
-      "window-manager-drop-indicator-before",
-      "window-manager-drop-indicator-after"
-    );
-    targetTab.classList.remove(
-      "window-manager-drop-indicator-before",
-      "window-manager-drop-indicator-after"
-    );
+    return menu;
+  },
 
-    if (insertBefore) {
-      tabsContainer.insertBefore(draggedTab, targetTab);
-    } else {
-      tabsContainer.insertBefore(draggedTab, targetTab.nextSibling);
-    }
+  getMenuItems(menu) {
+    // Enabled items of this menu, without those of its submenus
+    return Array.from(menu.children)
+      .filter((child) => !child.hidden)
+      .map((child) =>
+        child.classList.contains("window-manager-menu-submenu")
+          ? child.firstElementChild
+          : child
+      )
+      .filter(
+        (child) =>
+          child.classList.contains("window-manager-menu-item") &&
+          !child.disabled
+      );
   },
 
-  moveWindowToContainer(windowId, targetContainerId) {
+  moveWindowToContainer(windowId, targetContainerId, targetPaneId = null) {
     const windowData = this.windows.get(windowId);
     if (!windowData) return;
 
+    // Windows dragged out of their popup leave it for the chosen container
+    if (windowData.isInPopup) {
+      this.returnWindowFromPopup(windowId, targetContainerId, targetPaneId);
+      return;
+    }
+
     const sourceContainerId = windowData.containerId;
     const sourceContainer = this.containers.get(sourceContainerId);
     const targetContainer = this.containers.get(targetContainerId);
 
     if (!sourceContainer || !targetContainer) return;
 
+    this.setWindowPreview(windowId, false);
+
     // Move tab and content to new container
     const targetElement = targetContainer.element;
-    this.renderWindowInContainer(windowData, targetElement);
+    this.renderWindowInContainer(windowData, targetElement, targetPaneId);
 
     // Update active window in target container
     this.focusWindowInContainer(windowId, targetContainerId);
 
     // Clean up source container if empty
     this.cleanupContainerIfEmpty(sourceContainerId);
+
+    this.saveContainerGeometry(targetContainerId);
+    this.saveContainerGeometry(sourceContainerId);
+
+    this.emit("window:moved", {
+      windowId,
+      sourceContainerId,
+      targetContainerId,
+    });
   },
 
-  popOutWindow(windowId) {
+  popOutWindow(windowId, { fallbackToContainer = true } = {}) {
     const windowData = this.windows.get(windowId);
     if (!windowData) return;
 
+    this.setWindowPreview(windowId, false);
+
     // Create a browser popup window using custom dimensions or defaults
     // Validate width/height are positive numbers, fallback to defaults otherwise
     const popupWidth =
@@ -732,16 +3154,26 @@ export const DialogManager = {
       typeof windowData.height === "number" && windowData.height > 0
         ? windowData.height
         : 400;
-    const left = (window.screen.width - popupWidth) / 2;
-    const top = (window.screen.height - popupHeight) / 2;
+
+    // Reopen where the window's popup was last, which may be another monitor
+    const geometry = this.loadPopupGeometry(windowId) || {
+      left: (window.screen.width - popupWidth) / 2,
+      top: (window.screen.height - popupHeight) / 2,
+      width: popupWidth,
+      height: popupHeight,
+    };
 
     const popupWindow = window.open(
       "",
-      windowData.title,
-      `width=${popupWidth},height=${popupHeight},left=${left},top=${top},resizable=yes,scrollbars=yes`
+      `window-manager-${windowId}`,
+      `width=${geometry.width},height=${geometry.height},left=${geometry.left},top=${geometry.top},resizable=yes,scrollbars=yes`
     );
 
     if (!popupWindow) {
+      if (!fallbackToContainer) {
+        console.warn("Popup blocked. Window stays in its container.");
+        return;
+      }
       console.warn("Popup blocked. Creating separate window instead.");
       // Fallback to separate window if popup is blocked
       this.popOutWindowToSeparateContainer(windowId);
@@ -753,30 +3185,52 @@ export const DialogManager = {
       <!DOCTYPE html>
       <html>
         <head>
-          <title>${windowData.title}</title>
           <style>
             body { 
               margin: 0; 
               padding: 0; 
               overflow: hidden;
-              background: #575757;
-              color: #b8b8b8;
+              display: flex;
+              flex-direction: column;
+              height: 100vh;
+              background: var(--wm-surface, var(--gray11, #575757));
+              color: var(--wm-text, var(--gray23, #b8b8b8));
               font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
             }
+            #header {
+              border-radius: 0;
+            }
+            #title {
+              cursor: grab;
+            }
             #content { 
               width: 100%; 
-              height: 100vh; 
+              flex: 1;
+              min-height: 0;
               overflow: auto;
-              color: #b8b8b8;
+              color: var(--wm-text, var(--gray23, #b8b8b8));
             }
           </style>
         </head>
         <body>
+          <div id="header" class="window-manager-dialog-header">
+            <div id="title" class="window-manager-dialog-title" draggable="true" title="Drag onto a window in the editor to dock it there"></div>
+            <div class="window-manager-dialog-controls">
+              <button id="return" class="window-manager-dialog-btn" title="Return to editor" aria-label="Return to editor">⇲</button>
+            </div>
+          </div>
           <div id="content"></div>
         </body>
       </html>
     `);
     popupWindow.document.close();
+    // Set as a property so the title is never parsed as markup
+    popupWindow.document.title = this.getWindowDisplayTitle(windowData);
+
+    // The popup gets the editor's stylesheets and theme variables
+    this.startPopupStyleSync(windowData, popupWindow);
+    this.setupPopupHeader(windowData, popupWindow);
+    this.startPopupGeometryTracking(windowData, popupWindow);
 
     // Move the window content to the popup
     const popupContent = popupWindow.document.getElementById("content");
@@ -784,7 +3238,7 @@ export const DialogManager = {
       // Make sure the element is visible before moving it
       windowData.element.style.display = "block";
 
-      popupContent.appendChild(windowData.element);
+      this.attachWindowElement(windowData, popupContent);
       windowData.isInPopup = true;
       windowData.popupWindow = popupWindow;
 
@@ -796,6 +3250,7 @@ export const DialogManager = {
           console.error("Error in onPopout callback:", error);
         }
       }
+      this.emit("popout:opened", { windowId, popupWindow });
 
       // Update source container visibility
       const sourceContainerId = windowData.containerId;
@@ -808,11 +3263,16 @@ export const DialogManager = {
         this.updateTabVisibility(sourceContainer.element);
         this.updateContainerVisibility(sourceContainerId);
 
-        // If this was the active window, focus another visible tab
+        // If this was the active window, focus another visible tab,
+        // preferably from the same pane
         if (wasActiveWindow) {
-          const remainingVisibleWindows = Array.from(
-            this.windows.values()
-          ).filter((w) => w.containerId === sourceContainerId && !w.isInPopup);
+          const remainingVisibleWindows = Array.from(this.windows.values())
+            .filter((w) => w.containerId === sourceContainerId && !w.isInPopup)
+            .sort(
+              (a, b) =>
+                (b.paneId === windowData.paneId) -
+                (a.paneId === windowData.paneId)
+            );
 
           if (remainingVisibleWindows.length > 0) {
             this.focusWindowInContainer(
@@ -824,52 +3284,526 @@ export const DialogManager = {
       }
 
       // Handle popup close
-      popupWindow.addEventListener("beforeunload", () => {
-        // Call onPopupClose callback
-        if (windowData.onPopupClose) {
-          try {
-            windowData.onPopupClose(windowData);
-          } catch (error) {
-            console.error("Error in onPopupClose callback:", error);
-          }
+      const returnToEditor = () => {
+        // The window was closed or already returned
+        if (
+          this.windows.get(windowId) === windowData &&
+          windowData.popupWindow === popupWindow
+        ) {
+          this.returnWindowFromPopup(windowId);
+        }
+      };
+
+      popupWindow.addEventListener("beforeunload", (e) => {
+        // onBeforeClose isn't run here: it can't be awaited and its side
+        // effects would repeat on every unload check, so only the dirty
+        // flag asks the browser to confirm closing
+        if (
+          windowData.popupWindow === popupWindow &&
+          !windowData.isClosing &&
+          windowData.isDirty
+        ) {
+          e.preventDefault();
+          e.returnValue = "";
+          return;
         }
+        returnToEditor();
+      });
 
-        // Move content back when popup closes
-        if (windowData.element && sourceContainer) {
-          windowData.isInPopup = false;
-          windowData.popupWindow = null;
+      // Runs when the user confirmed closing after the unload prompt
+      popupWindow.addEventListener("pagehide", returnToEditor);
+    }
+  },
 
-          // Restore to original container or create new one
-          if (this.containers.has(sourceContainerId)) {
-            sourceContainer.element
-              .querySelector(".window-manager-dialog-tabs-content")
-              .appendChild(windowData.element);
+  setupPopupHeader(windowData, popupWindow) {
+    const popupDocument = popupWindow.document;
+    const title = popupDocument.getElementById("title");
+    const returnButton = popupDocument.getElementById("return");
+    if (!title || !returnButton) return;
 
-            // Check if this will be the only visible tab
-            const visibleWindowsAfterRestore = Array.from(
-              this.windows.values()
-            ).filter(
-              (w) => w.containerId === sourceContainerId && !w.isInPopup
-            );
+    this.renderWindowTitle(title, windowData);
+    this.applyThemeTokens(
+      popupDocument.getElementById("header"),
+      windowData.theme
+    );
 
-            this.updateTabVisibility(sourceContainer.element);
-            this.updateContainerVisibility(sourceContainerId);
+    returnButton.addEventListener("click", () => {
+      this.returnWindowFromPopup(windowData.id);
+    });
 
-            // Focus this window if it's the only visible tab
-            if (visibleWindowsAfterRestore.length === 1) {
-              this.focusWindowInContainer(windowId, sourceContainerId);
-            }
-          } else {
-            // Original container was closed, create a new one
-            const newContainer = this.createNewContainer();
-            this.renderWindowInContainer(windowData, newContainer);
-            this.focusWindowInContainer(
-              windowId,
-              newContainer.dataset.containerId
+    // The title works like a tab: dropping it on a container in the editor
+    // docks the window there
+    title.addEventListener("dragstart", (e) => {
+      this.dragState = {
+        windowId: windowData.id,
+        sourceContainerId: null,
+        sourcePaneId: null,
+        startX: e.clientX,
+        startY: e.clientY,
+        draggedTab: title,
+      };
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", windowData.id);
+    });
+
+    title.addEventListener("dragend", (e) => {
+      this.handleTabDragEnd(e);
+    });
+  },
+
+  loadPopupGeometry(windowId) {
+    // Adapters without popup methods don't remember popups
+    if (typeof this.geometryStorage.loadPopup !== "function") return null;
+
+    let geometry;
+    try {
+      geometry = this.geometryStorage.loadPopup(windowId);
+    } catch (error) {
+      console.error("Error in geometry storage loadPopup:", error);
+      return null;
+    }
+    if (
+      !geometry ||
+      !["left", "top", "width", "height"].every((key) =>
+        Number.isFinite(geometry[key])
+      ) ||
+      geometry.width <= 0 ||
+      geometry.height <= 0
+    ) {
+      return null;
+    }
+    return geometry;
+  },
+
+  startPopupGeometryTracking(windowData, popupWindow) {
+    this.stopPopupGeometryTracking(windowData);
+
+    let saved = null;
+    const record = () => {
+      if (popupWindow.closed) return;
+
+      // window.open sizes the content area, so the inner size is stored
+      const geometry = {
+        left: popupWindow.screenX,
+        top: popupWindow.screenY,
+        width: popupWindow.innerWidth,
+        height: popupWindow.innerHeight,
+      };
+      if (
+        saved &&
+        Object.keys(geometry).every((key) => geometry[key] === saved[key])
+      ) {
+        return;
+      }
+      saved = geometry;
+
+      if (typeof this.geometryStorage.savePopup !== "function") return;
+      try {
+        this.geometryStorage.savePopup(windowData.id, geometry);
+      } catch (error) {
+        console.error("Error in geometry storage savePopup:", error);
+      }
+    };
+
+    // Browsers have no event for a moved window, so the position is polled
+    const timer = setInterval(record, POPUP_GEOMETRY_POLL_INTERVAL);
+    popupWindow.addEventListener("resize", record);
+
+    windowData.popupGeometryTracking = { timer, record };
+  },
+
+  stopPopupGeometryTracking(windowData) {
+    if (!windowData.popupGeometryTracking) return;
+
+    // Last chance to read the position before the popup is gone
+    const { timer, record } = windowData.popupGeometryTracking;
+    windowData.popupGeometryTracking = null;
+    clearInterval(timer);
+    record();
+  },
+
+  returnWindowFromPopup(
+    windowId,
+    targetContainerId = null,
+    targetPaneId = null
+  ) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData || !windowData.isInPopup) return;
+
+    const popupWindow = windowData.popupWindow;
+    this.stopPopupStyleSync(windowData);
+    this.stopPopupGeometryTracking(windowData);
+
+    // Call onPopupClose callback
+    if (windowData.onPopupClose) {
+      try {
+        windowData.onPopupClose(windowData);
+      } catch (error) {
+        console.error("Error in onPopupClose callback:", error);
+      }
+    }
+    this.emit("popout:closed", { windowId });
+
+    windowData.isInPopup = false;
+    windowData.popupWindow = null;
+
+    const sourceContainerId = windowData.containerId;
+    const sourceContainer = this.containers.get(sourceContainerId);
+
+    if (
+      targetContainerId &&
+      targetContainerId !== sourceContainerId &&
+      this.containers.has(targetContainerId)
+    ) {
+      // Dropped on another container in the editor
+      this.moveWindowToContainer(windowId, targetContainerId, targetPaneId);
+    } else if (sourceContainer) {
+      // Back to its original container, or the pane it was dropped on there
+      if (targetPaneId && sourceContainer.panes.has(targetPaneId)) {
+        this.renderWindowInContainer(
+          windowData,
+          sourceContainer.element,
+          targetPaneId
+        );
+      } else {
+        this.attachWindowElement(
+          windowData,
+          this.getPane(sourceContainer, windowData.paneId).contentElement
+        );
+      }
+
+      // Check if this will be the only visible tab
+      const visibleWindowsAfterRestore = Array.from(
+        this.windows.values()
+      ).filter((w) => w.containerId === sourceContainerId && !w.isInPopup);
+
+      this.updateTabVisibility(sourceContainer.element);
+      this.updateContainerVisibility(sourceContainerId);
+
+      // Focus this window if it's the only visible tab or was dropped there
+      if (visibleWindowsAfterRestore.length === 1 || targetContainerId) {
+        this.focusWindowInContainer(windowId, sourceContainerId);
+      }
+    } else {
+      // Original container was closed, create a new one
+      const newContainer = this.createNewContainer();
+      this.renderWindowInContainer(windowData, newContainer);
+      this.focusWindowInContainer(windowId, newContainer.dataset.containerId);
+    }
+
+    if (popupWindow && !popupWindow.closed) {
+      popupWindow.close();
+    }
+  },
+
+  startPopupStyleSync(owner, popupWindow) {
+    // The owner is the window or container data the popup belongs to
+    this.stopPopupStyleSync(owner);
+
+    const copies = new Map(); // Editor style or link element -> copy in the popup
+    let scheduled = false;
+
+    const sync = () => {
+      scheduled = false;
+      if (popupWindow.closed) return;
+      this.syncPopupStyles(popupWindow, copies);
+    };
+
+    // Editor themes change stylesheets and classes, batch those changes
+    const observer = new MutationObserver(() => {
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(sync);
+    });
+    observer.observe(document.head, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+    });
+    [document.documentElement, document.body].forEach((element) => {
+      observer.observe(element, {
+        attributes: true,
+        attributeFilter: ["class", "style"],
+      });
+    });
+
+    owner.popupStyleSync = { observer };
+    sync();
+  },
+
+  stopPopupStyleSync(owner) {
+    if (!owner.popupStyleSync) return;
+
+    owner.popupStyleSync.observer.disconnect();
+    owner.popupStyleSync = null;
+  },
+
+  syncPopupStyles(popupWindow, copies) {
+    const popupDocument = popupWindow.document;
+
+    // Copy style and link elements in editor order, after the popup's own base style
+    const sources = Array.from(
+      document.head.querySelectorAll('style, link[rel="stylesheet"]')
+    );
+    let previous = popupDocument.head.lastElementChild;
+    if (copies.size > 0) {
+      previous = Array.from(copies.values())[0].previousElementSibling;
+    }
+
+    sources.forEach((source) => {
+      let copy = copies.get(source);
+      if (!copy) {
+        copy = popupDocument.importNode(source, true);
+        if (source.tagName === "LINK") {
+          copy.href = source.href; // Resolved against the editor's URL
+        }
+        copies.set(source, copy);
+      } else if (
+        source.tagName === "STYLE" &&
+        copy.textContent !== source.textContent
+      ) {
+        copy.textContent = source.textContent;
+      } else if (source.tagName === "LINK" && copy.href !== source.href) {
+        copy.href = source.href;
+      }
+
+      // Only move copies that are out of place, moving a link reloads it
+      if (copy.previousElementSibling !== previous || !copy.isConnected) {
+        popupDocument.head.insertBefore(
+          copy,
+          previous ? previous.nextSibling : popupDocument.head.firstChild
+        );
+      }
+      previous = copy;
+    });
+
+    copies.forEach((copy, source) => {
+      if (!sources.includes(source)) {
+        copy.remove();
+        copies.delete(source);
+      }
+    });
+
+    // Constructed stylesheets can't be shared across documents, so they are rebuilt
+    if (
+      document.adoptedStyleSheets &&
+      "adoptedStyleSheets" in popupDocument &&
+      popupWindow.CSSStyleSheet
+    ) {
+      try {
+        popupDocument.adoptedStyleSheets = document.adoptedStyleSheets.map(
+          (sheet) => {
+            const copy = new popupWindow.CSSStyleSheet();
+            copy.replaceSync(
+              Array.from(sheet.cssRules, (rule) => rule.cssText).join("\n")
             );
+            return copy;
           }
-        }
+        );
+      } catch (error) {
+        console.error("Error copying adopted stylesheets to popup:", error);
+      }
+    }
+
+    // Theme variables may be set from script, so copy their computed values
+    // along with the classes themes are keyed on
+    [
+      [document.documentElement, popupDocument.documentElement],
+      [document.body, popupDocument.body],
+    ].forEach(([source, target]) => {
+      if (!source || !target) return;
+
+      target.className = source.className;
+      const computed = getComputedStyle(source);
+      const names = new Set(
+        Array.from(computed).filter((name) => name.startsWith("--"))
+      );
+      Array.from(source.style)
+        .filter((name) => name.startsWith("--"))
+        .forEach((name) => names.add(name));
+
+      Array.from(target.style)
+        .filter((name) => name.startsWith("--") && !names.has(name))
+        .forEach((name) => target.style.removeProperty(name));
+      names.forEach((name) => {
+        target.style.setProperty(
+          name,
+          computed.getPropertyValue(name) || source.style.getPropertyValue(name)
+        );
       });
+    });
+  },
+
+  popOutContainer(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData || containerData.isModal) return null;
+
+    // Already popped out, bring its browser window to the front
+    if (containerData.popupWindow && !containerData.popupWindow.closed) {
+      containerData.popupWindow.focus();
+      return containerData.popupWindow;
+    }
+
+    // Open the browser window over the container's place in the editor
+    const container = containerData.element;
+    const geometry = this.getFloatingGeometry(containerData);
+    const activeWindow = this.windows.get(containerData.activeWindowId);
+    const title = activeWindow ? this.getWindowDisplayTitle(activeWindow) : "";
+    const left = (window.screenX || 0) + geometry.left;
+    const top =
+      (window.screenY || 0) +
+      Math.max(0, window.outerHeight - window.innerHeight) +
+      geometry.top;
+
+    const popupWindow = window.open(
+      "",
+      `window-manager-${containerId}`,
+      `width=${geometry.width},height=${geometry.height},left=${left},top=${top},resizable=yes,scrollbars=yes`
+    );
+
+    if (!popupWindow) {
+      console.warn("Popup blocked. Container stays in the editor.");
+      return null;
+    }
+
+    popupWindow.document.write(`
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body {
+              margin: 0;
+              padding: 0;
+              overflow: hidden;
+              background: var(--wm-surface, var(--gray11, #575757));
+              color: var(--wm-text, var(--gray23, #b8b8b8));
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            }
+          </style>
+        </head>
+        <body></body>
+      </html>
+    `);
+    popupWindow.document.close();
+    popupWindow.document.title = title;
+
+    // The container brings its own tab strip, which needs the editor's styles
+    this.startPopupStyleSync(containerData, popupWindow);
+
+    // Editor-only states end before the container leaves the editor
+    if (this.keyboardMode && this.keyboardMode.containerId === containerId) {
+      this.endKeyboardMode(false);
+    }
+    if (containerData.dockEdge) this.undockContainer(containerId);
+    if (containerData.isMaximized) this.unmaximizeContainer(containerId);
+    if (containerData.isRolledUp) this.unrollContainer(containerId);
+    if (containerData.isMinimized) this.restoreContainer(containerId);
+
+    container.classList.add("window-manager-popped-out");
+    this.moveNode(container, popupWindow.document.body);
+    containerData.popupWindow = popupWindow;
+
+    this.windows.forEach((windowData) => {
+      if (windowData.containerId !== containerId || windowData.isInPopup) {
+        return;
+      }
+
+      // Shadow styles and frame bridges follow the window to the popup
+      this.applyShadowStyles(windowData);
+      if (windowData.bridge) {
+        windowData.bridge.listen();
+      }
+
+      if (windowData.onPopout) {
+        try {
+          windowData.onPopout(windowData, popupWindow);
+        } catch (error) {
+          console.error("Error in onPopout callback:", error);
+        }
+      }
+    });
+
+    this.updateTabVisibility(container);
+    this.emit("container:poppedout", { containerId, popupWindow });
+
+    popupWindow.addEventListener("beforeunload", (e) => {
+      if (containerData.popupWindow !== popupWindow) return;
+
+      // Same rule as single popups: only dirty windows ask the browser to
+      // confirm closing
+      const blocked = Array.from(this.windows.values()).some(
+        (windowData) =>
+          windowData.containerId === containerId &&
+          !windowData.isInPopup &&
+          !windowData.isClosing &&
+          windowData.isDirty
+      );
+      if (blocked) {
+        e.preventDefault();
+        e.returnValue = "";
+        return;
+      }
+      this.returnContainerFromPopup(containerId);
+    });
+
+    // Runs when the user confirmed closing after the unload prompt
+    popupWindow.addEventListener("pagehide", () => {
+      if (containerData.popupWindow === popupWindow) {
+        this.returnContainerFromPopup(containerId);
+      }
+    });
+
+    // The tab strip observer only sees resizes in the editor's document
+    popupWindow.addEventListener("resize", () => {
+      if (containerData.popupWindow !== popupWindow) return;
+      containerData.panes.forEach((pane) =>
+        this.updateTabOverflow(pane.tabsElement)
+      );
+    });
+
+    return popupWindow;
+  },
+
+  returnContainerFromPopup(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData || !containerData.popupWindow) return;
+
+    const popupWindow = containerData.popupWindow;
+    containerData.popupWindow = null;
+    this.stopPopupStyleSync(containerData);
+
+    // The container comes back with its tabs in the order they had in the popup
+    const container = containerData.element;
+    this.moveNode(container, document.body);
+    container.classList.remove("window-manager-popped-out");
+    this.constrainToViewport(container);
+
+    this.windows.forEach((windowData) => {
+      if (windowData.containerId !== containerId || windowData.isInPopup) {
+        return;
+      }
+
+      this.applyShadowStyles(windowData);
+      if (windowData.bridge) {
+        windowData.bridge.listen();
+      }
+
+      if (windowData.onPopupClose) {
+        try {
+          windowData.onPopupClose(windowData);
+        } catch (error) {
+          console.error("Error in onPopupClose callback:", error);
+        }
+      }
+    });
+
+    this.updateTabVisibility(container);
+    this.bringContainerToFront(containerId);
+    this.emit("container:returned", { containerId });
+
+    if (!popupWindow.closed) {
+      popupWindow.close();
     }
   },
 
@@ -877,6 +3811,8 @@ export const DialogManager = {
     const windowData = this.windows.get(windowId);
     if (!windowData) return;
 
+    this.setWindowPreview(windowId, false);
+
     const sourceContainerId = windowData.containerId;
     const sourceContainer = this.containers.get(sourceContainerId);
     if (!sourceContainer) return;
@@ -896,6 +3832,11 @@ export const DialogManager = {
 
     this.renderWindowInContainer(windowData, newContainer);
     this.focusWindowInContainer(windowId, newContainer.dataset.containerId);
+    this.emit("window:moved", {
+      windowId,
+      sourceContainerId,
+      targetContainerId: newContainer.dataset.containerId,
+    });
 
     // Update source container
     this.cleanupContainerIfEmpty(sourceContainerId);
@@ -929,6 +3870,9 @@ export const DialogManager = {
 
     // If this is the only window, just move the container
     if (visibleWindowsInContainer.length <= 1) {
+      if (sourceContainer.dockEdge) {
+        this.undockContainer(sourceContainerId);
+      }
       sourceContainer.element.style.left = position.left + "px";
       sourceContainer.element.style.top = position.top + "px";
       this.constrainToViewport(sourceContainer.element);
@@ -941,9 +3885,14 @@ export const DialogManager = {
 
     this.renderWindowInContainer(windowData, newContainer);
     this.focusWindowInContainer(windowId, newContainer.dataset.containerId);
+    this.emit("window:moved", {
+      windowId,
+      sourceContainerId,
+      targetContainerId: newContainer.dataset.containerId,
+    });
 
     // Update source container
-    this.updateTabVisibility(sourceContainer.element);
+    this.cleanupContainerIfEmpty(sourceContainerId);
 
     // Focus another window in source container
     const remainingWindow = Array.from(this.windows.values()).find(
@@ -965,7 +3914,23 @@ export const DialogManager = {
     if (windowsInContainer.length === 0) {
       containerData.element.remove();
       this.containers.delete(containerId);
+      containerData.panes.forEach((pane) =>
+        this.tabStripObserver.unobserve(pane.tabsElement)
+      );
+      if (containerData.popupWindow) {
+        // Closing the last tab in a popped out container closes its popup
+        const popupWindow = containerData.popupWindow;
+        containerData.popupWindow = null;
+        this.stopPopupStyleSync(containerData);
+        if (!popupWindow.closed) popupWindow.close();
+      }
+      if (containerData.dockEdge) {
+        this.removeFromDockEdge(containerData);
+        this.layoutDockedPanels();
+      }
+      this.emit("container:closed", { containerId });
     } else {
+      this.collapseEmptyPanes(containerData);
       this.updateTabVisibility(containerData.element);
       this.updateContainerVisibility(containerId);
     }
@@ -986,6 +3951,10 @@ export const DialogManager = {
     } else {
       containerData.element.style.display = "flex";
     }
+
+    if (containerData.dockEdge) {
+      this.layoutDockedPanels();
+    }
   },
 
   updateTabVisibility(container) {
@@ -1005,13 +3974,21 @@ export const DialogManager = {
       ".window-manager-window-content"
     );
 
+    // Each pane shows its own active window
+    const isActiveInPane = (windowData) =>
+      !!windowData &&
+      this.getPane(containerData, windowData.paneId).activeWindowId ===
+        windowData.id;
+
     // Update tab active states and visibility
     allTabs.forEach((tab) => {
       const windowId = tab.dataset.windowId;
       const windowData = this.windows.get(windowId);
-      const isActive = windowId === containerData.activeWindowId;
+      const isActive = isActiveInPane(windowData);
 
       tab.classList.toggle("active", isActive);
+      tab.setAttribute("aria-selected", isActive ? "true" : "false");
+      tab.tabIndex = isActive ? 0 : -1;
 
       // Hide tabs that are in popup
       if (windowData && windowData.isInPopup) {
@@ -1024,7 +4001,7 @@ export const DialogManager = {
     contents.forEach((content) => {
       const windowId = content.dataset.windowId;
       const windowData = this.windows.get(windowId);
-      const isActive = windowId === containerData.activeWindowId;
+      const isActive = isActiveInPane(windowData);
 
       // Hide content that is in popup or not active
       if (windowData && windowData.isInPopup) {
@@ -1034,18 +4011,51 @@ export const DialogManager = {
       }
     });
 
+    // The dialog is labelled by the title of its active window, also while
+    // the title is hidden behind the tab strip
+    const activeWindow = this.windows.get(containerData.activeWindowId);
     const titleElement = container.querySelector(
       ".window-manager-dialog-title"
     );
-    const tabsBar = container.querySelector(".window-manager-dialog-tabs");
+    if (titleElement) {
+      if (activeWindow) {
+        this.renderWindowTitle(titleElement, activeWindow);
+      } else {
+        titleElement.textContent = "";
+      }
+    }
+    if (
+      activeWindow &&
+      containerData.popupWindow &&
+      !containerData.popupWindow.closed
+    ) {
+      containerData.popupWindow.document.title =
+        this.getWindowDisplayTitle(activeWindow);
+    }
+
     const header = container.querySelector(".window-manager-dialog-header");
+    const tabsBar = header.querySelector(".window-manager-tabs-strip");
     const popoutBtn = container.querySelector(".popout-btn");
 
-    if (visibleTabs.length === 1) {
+    if (containerData.panes.size > 1) {
+      // Split mode: each pane has its own tab strip, the header shows the
+      // title of the active window
+      containerData.panes.forEach((pane) => {
+        pane.stripElement.style.display = "flex";
+        pane.element.classList.toggle(
+          "window-manager-pane-active",
+          pane.id === containerData.activePaneId
+        );
+      });
+      if (titleElement) {
+        titleElement.style.display = "";
+      }
+      if (popoutBtn) {
+        popoutBtn.style.display = activeWindow ? "" : "none";
+      }
+    } else if (visibleTabs.length === 1) {
       // Single tab mode: show title, hide tabs, show popout button
-      const activeWindow = this.windows.get(containerData.activeWindowId);
       if (activeWindow && titleElement) {
-        titleElement.textContent = activeWindow.title;
         titleElement.style.display = "";
       }
       tabsBar.style.display = "none";
@@ -1066,12 +4076,22 @@ export const DialogManager = {
       // Default alignment
       header.style.justifyContent = "space-between";
     }
+
+    containerData.panes.forEach((pane) =>
+      this.updateTabOverflow(pane.tabsElement)
+    );
   },
 
   focusWindowInContainer(windowId, containerId) {
     const containerData = this.containers.get(containerId);
     if (!containerData) return;
 
+    const windowData = this.windows.get(windowId);
+    if (windowData && windowData.containerId === containerId) {
+      const pane = this.getPane(containerData, windowData.paneId);
+      pane.activeWindowId = windowId;
+      containerData.activePaneId = pane.id;
+    }
     containerData.activeWindowId = windowId;
 
     // Bring container to front
@@ -1080,20 +4100,50 @@ export const DialogManager = {
     if (containerData.element) {
       this.updateTabVisibility(containerData.element);
     }
+    if (windowData && windowData.containerId === containerId) {
+      this.scrollTabIntoView(windowData);
+    }
+
+    this.emit("window:focused", { windowId, containerId });
   },
 
   bringContainerToFront(containerId) {
     // Get max z-index among all containers
     let maxZ = BASE_Z_INDEX;
     this.containers.forEach((containerData) => {
+      if (containerData.isModal) return;
       const z = parseInt(containerData.element.style.zIndex) || BASE_Z_INDEX;
       if (z > maxZ) maxZ = z;
     });
 
     const containerData = this.containers.get(containerId);
-    if (containerData) {
-      containerData.element.style.zIndex = maxZ + 1;
+    // Docked panels and modals keep their own layers
+    if (!containerData || containerData.dockEdge || containerData.isModal) {
+      return;
     }
+
+    // Renumber floating containers in their current order before they
+    // climb into the modal layer
+    if (maxZ + 1 >= MODAL_Z_INDEX) {
+      maxZ = this.renumberFloatingContainers();
+    }
+    containerData.element.style.zIndex = maxZ + 1;
+  },
+
+  renumberFloatingContainers() {
+    const floating = Array.from(this.containers.values())
+      .filter(
+        (containerData) => !containerData.dockEdge && !containerData.isModal,
+      )
+      .sort(
+        (a, b) =>
+          (parseInt(a.element.style.zIndex) || BASE_Z_INDEX) -
+          (parseInt(b.element.style.zIndex) || BASE_Z_INDEX),
+      );
+    floating.forEach((containerData, index) => {
+      containerData.element.style.zIndex = BASE_Z_INDEX + index + 1;
+    });
+    return BASE_Z_INDEX + floating.length;
   },
 
   getWindow(id) {
@@ -1106,20 +4156,60 @@ export const DialogManager = {
 
     // Update the stored title
     windowData.title = newTitle;
+    this.updateWindowDecorations(windowData);
+  },
+
+  setWindowIcon(windowId, icon) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData) return;
+
+    windowData.icon = icon || null;
+    this.updateWindowDecorations(windowData);
+  },
+
+  setWindowBadge(windowId, badge) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData) return;
+
+    windowData.badge = this.normalizeBadge(badge);
+    this.updateWindowDecorations(windowData);
+  },
+
+  normalizeBadge(badge) {
+    // Empty text and a count of zero hide the badge
+    if (badge === null || badge === undefined || badge === "" || badge === 0) {
+      return null;
+    }
+    return String(badge);
+  },
 
-    // Update the tab title if it exists
+  updateWindowDecorations(windowData) {
+    // The title, icon, badge and modified marker show wherever the window
+    // is named: its tab, the header, the minimized dock and popups
     if (windowData.tabElement) {
       const tabTitleElement = windowData.tabElement.querySelector(
         ".window-manager-tab-title"
       );
       if (tabTitleElement) {
-        tabTitleElement.textContent = newTitle;
+        this.renderWindowTitle(tabTitleElement, windowData);
       }
+      this.updatePinnedTab(windowData);
     }
 
     // Update popup window title if it exists
     if (windowData.popupWindow && !windowData.popupWindow.closed) {
-      windowData.popupWindow.document.title = newTitle;
+      const popupDocument = windowData.popupWindow.document;
+      popupDocument.title = this.getWindowDisplayTitle(windowData);
+      const popupTitle = popupDocument.getElementById("title");
+      if (popupTitle) {
+        this.renderWindowTitle(popupTitle, windowData);
+      }
+    }
+
+    // The header and popped out containers show their active window's title
+    const containerData = this.containers.get(windowData.containerId);
+    if (containerData) {
+      this.updateTabVisibility(containerData.element);
     }
 
     // Update minimized dock if the window is minimized
@@ -1128,6 +4218,63 @@ export const DialogManager = {
     }
   },
 
+  renderWindowTitle(element, windowData) {
+    const ownerDocument = element.ownerDocument;
+    element.textContent = "";
+
+    if (windowData.icon) {
+      element.appendChild(
+        this.createIconElement(windowData.icon, ownerDocument)
+      );
+    }
+
+    const text = ownerDocument.createElement("span");
+    text.className = "window-manager-title-text";
+    text.textContent = windowData.title;
+    element.appendChild(text);
+
+    if (windowData.isDirty) {
+      const marker = ownerDocument.createElement("span");
+      marker.className = "window-manager-dirty-marker";
+      marker.title = "Unsaved changes";
+      marker.textContent = "•";
+      element.appendChild(marker);
+    }
+
+    if (windowData.badge) {
+      const badge = ownerDocument.createElement("span");
+      badge.className = "window-manager-badge";
+      badge.textContent = windowData.badge;
+      element.appendChild(badge);
+    }
+  },
+
+  createIconElement(icon, ownerDocument = document) {
+    const iconElement = ownerDocument.createElement("span");
+    iconElement.className = "window-manager-icon";
+    iconElement.setAttribute("aria-hidden", "true");
+
+    // Elements are copied since the icon shows in several places at once
+    if (icon instanceof Node) {
+      iconElement.appendChild(ownerDocument.importNode(icon, true));
+    } else if (/^\s*<svg[\s>]/i.test(icon)) {
+      iconElement.innerHTML = icon;
+    } else {
+      const image = ownerDocument.createElement("img");
+      image.src = icon;
+      image.alt = "";
+      iconElement.appendChild(image);
+    }
+    return iconElement;
+  },
+
+  getWindowDisplayTitle(windowData) {
+    // Plain text version for document titles
+    const marker = windowData.isDirty ? "• " : "";
+    const badge = windowData.badge ? ` (${windowData.badge})` : "";
+    return `${marker}${windowData.title}${badge}`;
+  },
+
   focusWindow(windowId) {
     const windowData = this.windows.get(windowId);
     if (!windowData) return;
@@ -1148,115 +4295,601 @@ export const DialogManager = {
       return;
     }
 
-    // Focus the window in its container
+    // Focus the window in its container and move keyboard focus into it
     const containerId = windowData.containerId;
     if (containerId) {
       this.focusWindowInContainer(windowId, containerId);
+      if (
+        !windowData.element.contains(
+          windowData.element.ownerDocument.activeElement
+        )
+      ) {
+        this.focusContainerContent(containerId);
+      }
+    }
+
+    // Windows of a popped out container are shown in its browser window
+    const popupWindow = this.getPopupWindow(windowData);
+    if (popupWindow) {
+      popupWindow.focus();
+    }
+  },
+
+  getPopupWindow(windowData) {
+    // A window is in a popup on its own or together with its whole container
+    const containerData = this.containers.get(windowData.containerId);
+    const popupWindow =
+      windowData.popupWindow || (containerData && containerData.popupWindow);
+    return popupWindow && !popupWindow.closed ? popupWindow : null;
+  },
+
+  restoreWindow(windowId) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData) return;
+
+    // If window is in a popup, bring popup to front
+    if (
+      windowData.isInPopup &&
+      windowData.popupWindow &&
+      !windowData.popupWindow.closed
+    ) {
+      windowData.popupWindow.focus();
+      return;
+    }
+
+    // If window is minimized, restore its container
+    if (windowData.isMinimized) {
+      const containerId = windowData.containerId;
+      if (containerId) {
+        this.restoreContainer(containerId);
+        // Focus this specific window after restoring
+        this.focusWindowInContainer(windowId, containerId);
+      }
+      return;
+    }
+
+    // If window is already visible, just focus it
+    this.focusWindow(windowId);
+  },
+
+  closeWindow(id, { force = false } = {}) {
+    const windowData = this.windows.get(id);
+    if (!windowData) return Promise.resolve(false);
+
+    // A guard is already waiting for an answer for this window
+    if (windowData.pendingClose) return windowData.pendingClose;
+
+    // Callers don't wait for the result, so the promise never rejects
+    const destroy = () => {
+      try {
+        this.destroyWindow(windowData);
+        return true;
+      } catch (error) {
+        console.error("Error in destroyWindow:", error);
+        return false;
+      }
+    };
+
+    const canClose = force || this.runBeforeCloseGuard(windowData);
+
+    if (canClose && typeof canClose.then === "function") {
+      const finish = (allowed) => {
+        windowData.pendingClose = null;
+        if (!allowed || this.windows.get(id) !== windowData) return false;
+        return destroy();
+      };
+      windowData.pendingClose = canClose.then(finish, (error) => {
+        console.error("Error in close guard:", error);
+        return finish(false);
+      });
+      return windowData.pendingClose;
+    }
+
+    if (!canClose) return Promise.resolve(false);
+
+    return Promise.resolve(destroy());
+  },
+
+  runBeforeCloseGuard(windowData) {
+    const confirmIfDirty = (result) => {
+      if (result === false) return false;
+      return windowData.isDirty ? this.confirmDiscardChanges(windowData) : true;
+    };
+
+    let result;
+    if (windowData.onBeforeClose) {
+      try {
+        result = windowData.onBeforeClose(windowData);
+      } catch (error) {
+        console.error("Error in onBeforeClose callback:", error);
+      }
+    }
+
+    if (result && typeof result.then === "function") {
+      return result.then(confirmIfDirty, (error) => {
+        console.error("Error in onBeforeClose callback:", error);
+        return confirmIfDirty();
+      });
+    }
+
+    return confirmIfDirty(result);
+  },
+
+  confirmDiscardChanges(windowData) {
+    // Show the window being asked about, and ask in the browser window it is in
+    this.focusWindow(windowData.id);
+    const message = `"${windowData.title}" has unsaved changes. Close it anyway?`;
+
+    // Modals can't be shown in a popup, so popups use the browser's dialog
+    const popupWindow = this.getPopupWindow(windowData);
+    if (popupWindow) {
+      return popupWindow.confirm(message);
+    }
+
+    return this.confirm({
+      title: "Unsaved changes",
+      message,
+      confirmLabel: "Close",
+      defaultButton: "cancel",
+    });
+  },
+
+  setWindowDirty(windowId, isDirty) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData) return;
+
+    if (windowData.isDirty === !!isDirty) return;
+    windowData.isDirty = !!isDirty;
+    if (windowData.isDirty) {
+      this.setWindowPreview(windowId, false);
+    }
+    this.updateWindowDecorations(windowData);
+  },
+
+  destroyWindow(windowData) {
+    const id = windowData.id;
+    windowData.isClosing = true;
+
+    // Call onClose callback before cleanup
+    if (windowData.onClose) {
+      try {
+        windowData.onClose(windowData);
+      } catch (error) {
+        console.error("Error in onClose callback:", error);
+      }
+    }
+
+    this.saveWindowGeometry(windowData);
+
+    // Components are unmounted while their element is still in the page
+    this.unmountWindowContent(windowData);
+    if (windowData.bridge) {
+      windowData.bridge.dispose();
+    }
+    this.stopPopupStyleSync(windowData);
+    this.stopPopupGeometryTracking(windowData);
+
+    if (windowData.popupWindow && !windowData.popupWindow.closed) {
+      windowData.popupWindow.close();
+    }
+
+    const containerId = windowData.containerId;
+    const containerData = this.containers.get(containerId);
+
+    // Keyboard focus must not be lost with the removed elements
+    const hadFocus =
+      (windowData.element &&
+        windowData.element.contains(document.activeElement)) ||
+      (windowData.tabElement &&
+        windowData.tabElement.contains(document.activeElement));
+
+    if (windowData.tabElement) {
+      windowData.tabElement.remove();
+    }
+
+    if (windowData.element) {
+      windowData.element.remove();
+    }
+
+    this.windows.delete(id);
+
+    // Update active window in its pane and in the container
+    if (containerData) {
+      this.releaseActiveWindowInPane(windowData.paneId, id);
+
+      if (containerData.activeWindowId === id) {
+        const remainingWindows = Array.from(this.windows.values())
+          .filter((w) => w.containerId === containerId && !w.isInPopup)
+          .sort(
+            (a, b) =>
+              (b.paneId === windowData.paneId) -
+              (a.paneId === windowData.paneId)
+          );
+        containerData.activeWindowId =
+          remainingWindows.length > 0 ? remainingWindows[0].id : null;
+      }
+    }
+
+    // Clean up container if empty
+    this.cleanupContainerIfEmpty(containerId);
+
+    if (windowData.modal) {
+      this.finishModal(windowData);
+    }
+
+    if (hadFocus) {
+      this.restoreFocusAfterClose(windowData);
+    }
+
+    this.updateMinimizedDock();
+    this.emit("window:closed", { windowId: id, containerId });
+  },
+
+  restoreFocusAfterClose(windowData) {
+    // Return to whatever was focused before the window opened, or stay in the container
+    const returnFocusTo = windowData.returnFocusTo;
+    windowData.returnFocusTo = null;
+
+    if (
+      returnFocusTo &&
+      returnFocusTo !== document.body &&
+      returnFocusTo.isConnected &&
+      typeof returnFocusTo.focus === "function"
+    ) {
+      returnFocusTo.focus();
+    } else if (this.containers.has(windowData.containerId)) {
+      this.focusContainerContent(windowData.containerId);
+    }
+  },
+
+  showModal({ closeOnEscape = true, ...options }) {
+    if (!this.minimizedDock) this.init();
+
+    // Each modal gets its own backdrop so stacked modals dim the ones below
+    const level = this.modalStack.length;
+    const backdrop = document.createElement("div");
+    backdrop.className = "window-manager-modal-backdrop";
+    backdrop.style.zIndex = MODAL_Z_INDEX + level * 2;
+    this.setupEventIsolation(backdrop);
+    document.body.appendChild(backdrop);
+
+    const windowData = this.createWindow({
+      ...options,
+      rememberGeometry: false,
+    });
+    const containerData = this.containers.get(windowData.containerId);
+    const element = containerData.element;
+
+    containerData.isModal = true;
+    element.classList.add("window-manager-modal");
+    element.setAttribute("aria-modal", "true");
+    element.style.zIndex = MODAL_Z_INDEX + level * 2 + 1;
+    element.style.left =
+      Math.max(0, (window.innerWidth - element.offsetWidth) / 2) + "px";
+    element.style.top =
+      Math.max(0, (window.innerHeight - element.offsetHeight) / 2) + "px";
+
+    this.modalStack.push(windowData.id);
+    this.setupModalKeyboard(element, windowData.id, closeOnEscape);
+    this.setupModalFocusTrap();
+    this.focusContainerContent(containerData.id);
+
+    return new Promise((resolve) => {
+      windowData.modal = { backdrop, resolve, result: undefined };
+    });
+  },
+
+  async closeModal(windowId, value) {
+    const windowData = this.windows.get(windowId);
+    if (!windowData || !windowData.modal) return false;
+
+    // The value is only kept if the window really closes
+    windowData.modal.result = value;
+    const closed = await this.closeWindow(windowId);
+    if (!closed && windowData.modal) {
+      windowData.modal.result = undefined;
     }
+    return closed;
+  },
+
+  alert(options) {
+    const { title = "", message = "", okLabel = "OK" } =
+      typeof options === "string" ? { message: options } : options;
+
+    return this.showMessageDialog({
+      title,
+      message,
+      buttons: [{ label: okLabel, value: undefined, isDefault: true }],
+      cancelValue: undefined,
+    });
+  },
+
+  confirm(options) {
+    const {
+      title = "",
+      message = "",
+      confirmLabel = "OK",
+      cancelLabel = "Cancel",
+      defaultButton = "confirm",
+    } = typeof options === "string" ? { message: options } : options;
+
+    return this.showMessageDialog({
+      title,
+      message,
+      buttons: [
+        {
+          label: cancelLabel,
+          value: false,
+          isDefault: defaultButton === "cancel",
+        },
+        {
+          label: confirmLabel,
+          value: true,
+          isDefault: defaultButton !== "cancel",
+          isPrimary: true,
+        },
+      ],
+      cancelValue: false,
+    });
   },
 
-  restoreWindow(windowId) {
-    const windowData = this.windows.get(windowId);
-    if (!windowData) return;
+  prompt(options) {
+    const {
+      title = "",
+      message = "",
+      defaultValue = "",
+      placeholder = "",
+      okLabel = "OK",
+      cancelLabel = "Cancel",
+      validate = null,
+    } = typeof options === "string" ? { message: options } : options;
+
+    return this.showMessageDialog({
+      title,
+      message,
+      input: { defaultValue, placeholder, validate },
+      buttons: [
+        { label: cancelLabel, value: null },
+        { label: okLabel, isDefault: true, isPrimary: true, isSubmit: true },
+      ],
+      cancelValue: null,
+    });
+  },
+
+  async showMessageDialog({ title, message, input, buttons, cancelValue }) {
+    const id = `window-manager-message-${++this.messageDialogCounter}`;
+
+    const result = this.showModal({
+      id,
+      title,
+      content: "",
+      width: 420,
+      height: input ? 240 : 200,
+    });
+
+    const windowData = this.windows.get(id);
+    const dialog = this.createMessageDialogElement(windowData, {
+      message,
+      input,
+      buttons,
+    });
+    windowData.element.appendChild(dialog);
+
+    // Screen readers read the message along with the title
+    const container = this.containers.get(windowData.containerId).element;
+    container.setAttribute("aria-describedby", `${id}-message`);
+
+    const defaultButton = buttons.findIndex((button) => button.isDefault);
+    const focusTarget = input
+      ? dialog.querySelector(".window-manager-message-input")
+      : dialog.querySelectorAll(".window-manager-message-btn")[defaultButton];
+    if (focusTarget) focusTarget.focus();
+
+    // Escape and the close button resolve with undefined
+    const value = await result;
+    return value === undefined ? cancelValue : value;
+  },
+
+  createMessageDialogElement(windowData, { message, input, buttons }) {
+    const dialog = document.createElement("form");
+    dialog.className = "window-manager-message";
+    dialog.noValidate = true;
+
+    const text = document.createElement("div");
+    text.className = "window-manager-message-text";
+    text.id = `${windowData.id}-message`;
+    text.textContent = message;
+    dialog.appendChild(text);
+
+    let inputElement = null;
+    let errorElement = null;
+    if (input) {
+      inputElement = document.createElement("input");
+      inputElement.type = "text";
+      inputElement.className = "window-manager-message-input";
+      inputElement.value = input.defaultValue;
+      inputElement.placeholder = input.placeholder;
+      inputElement.setAttribute("aria-labelledby", text.id);
+      dialog.appendChild(inputElement);
+
+      errorElement = document.createElement("div");
+      errorElement.className = "window-manager-message-error";
+      errorElement.setAttribute("role", "alert");
+      dialog.appendChild(errorElement);
+
+      inputElement.addEventListener("input", () => {
+        errorElement.textContent = "";
+        inputElement.removeAttribute("aria-invalid");
+      });
+    }
+
+    const submit = async (button) => {
+      if (!button.isSubmit) {
+        this.closeModal(windowData.id, button.value);
+        return;
+      }
+
+      // A validator returns an error message to keep the prompt open
+      const value = inputElement.value;
+      let error = null;
+      if (input.validate) {
+        try {
+          error = await input.validate(value);
+        } catch (validateError) {
+          console.error("Error in validate callback:", validateError);
+          error = "Invalid value";
+        }
+      }
+
+      if (typeof error === "string" && error) {
+        errorElement.textContent = error;
+        inputElement.setAttribute("aria-invalid", "true");
+        inputElement.focus();
+        return;
+      }
+
+      this.closeModal(windowData.id, value);
+    };
+
+    const buttonBar = document.createElement("div");
+    buttonBar.className = "window-manager-message-buttons";
+    buttons.forEach((button) => {
+      const buttonElement = document.createElement("button");
+      buttonElement.type = "button";
+      buttonElement.className = "window-manager-message-btn";
+      buttonElement.classList.toggle("primary", !!button.isPrimary);
+      buttonElement.textContent = button.label;
+      buttonElement.addEventListener("click", () => submit(button));
+      buttonBar.appendChild(buttonElement);
+    });
+    dialog.appendChild(buttonBar);
+
+    // Enter anywhere but on a button picks the default button
+    dialog.addEventListener("submit", (e) => e.preventDefault());
+    dialog.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" || e.target.tagName === "BUTTON") return;
+      e.preventDefault();
+      const defaultButton = buttons.find((button) => button.isDefault);
+      if (defaultButton) submit(defaultButton);
+    });
 
-    // If window is in a popup, bring popup to front
-    if (
-      windowData.isInPopup &&
-      windowData.popupWindow &&
-      !windowData.popupWindow.closed
-    ) {
-      windowData.popupWindow.focus();
-      return;
-    }
+    return dialog;
+  },
 
-    // If window is minimized, restore its container
-    if (windowData.isMinimized) {
-      const containerId = windowData.containerId;
-      if (containerId) {
-        this.restoreContainer(containerId);
-        // Focus this specific window after restoring
-        this.focusWindowInContainer(windowId, containerId);
-      }
-      return;
-    }
+  finishModal(windowData) {
+    const { backdrop, resolve, result } = windowData.modal;
+    windowData.modal = null;
 
-    // If window is already visible, just focus it
-    this.focusWindow(windowId);
+    backdrop.remove();
+    this.modalStack = this.modalStack.filter((id) => id !== windowData.id);
+    resolve(result);
   },
 
-  closeWindow(id) {
-    const windowData = this.windows.get(id);
-    if (!windowData) return;
+  getTopModalContainer() {
+    const windowData = this.windows.get(
+      this.modalStack[this.modalStack.length - 1]
+    );
+    return windowData ? this.containers.get(windowData.containerId) : null;
+  },
 
-    // Call onClose callback before cleanup
-    if (windowData.onClose) {
-      try {
-        windowData.onClose(windowData);
-      } catch (error) {
-        console.error("Error in onClose callback:", error);
+  setupModalKeyboard(element, windowId, closeOnEscape) {
+    element.addEventListener("keydown", (e) => {
+      if (e.key === "Tab") {
+        this.trapTabKey(e, element);
+      } else if (e.key === "Escape" && closeOnEscape && !e.defaultPrevented) {
+        e.preventDefault();
+        this.closeModal(windowId);
       }
-    }
 
-    if (windowData.popupWindow && !windowData.popupWindow.closed) {
-      windowData.popupWindow.close();
-    }
+      // Nothing typed in a modal reaches the editor
+      e.stopPropagation();
+    });
 
-    const containerId = windowData.containerId;
-    const containerData = this.containers.get(containerId);
+    ["keyup", "keypress"].forEach((eventType) => {
+      element.addEventListener(eventType, (e) => e.stopPropagation());
+    });
+  },
 
-    if (windowData.tabElement) {
-      windowData.tabElement.remove();
-    }
+  trapTabKey(e, element) {
+    const focusable = Array.from(
+      element.querySelectorAll(FOCUSABLE_SELECTOR)
+    ).filter((el) => el.getClientRects().length > 0);
 
-    if (windowData.element) {
-      windowData.element.remove();
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
     }
 
-    this.windows.delete(id);
-
-    // Update active window in container
-    if (containerData && containerData.activeWindowId === id) {
-      const remainingWindows = Array.from(this.windows.values()).filter(
-        (w) => w.containerId === containerId && !w.isInPopup
-      );
-      containerData.activeWindowId =
-        remainingWindows.length > 0 ? remainingWindows[0].id : null;
+    // Wrap around at both ends instead of leaving the modal
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = element.ownerDocument.activeElement;
+    if (e.shiftKey && (active === first || !focusable.includes(active))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || !focusable.includes(active))) {
+      e.preventDefault();
+      first.focus();
     }
+  },
 
-    // Clean up container if empty
-    this.cleanupContainerIfEmpty(containerId);
-
-    this.updateMinimizedDock();
+  setupModalFocusTrap() {
+    if (this.modalFocusTrapAdded) return;
+    this.modalFocusTrapAdded = true;
+
+    // Focus that escapes the topmost modal is pulled back into it
+    document.addEventListener(
+      "focusin",
+      (e) => {
+        const modal = this.getTopModalContainer();
+        if (modal && !modal.element.contains(e.target)) {
+          this.focusContainerContent(modal.id);
+        }
+      },
+      true
+    );
   },
 
   closeActiveWindowInContainer(containerId) {
     const containerData = this.containers.get(containerId);
     if (containerData && containerData.activeWindowId) {
-      this.closeWindow(containerData.activeWindowId);
+      return this.closeWindow(containerData.activeWindowId);
     }
+    return Promise.resolve(false);
   },
 
-  closeContainer(containerId, onlyVisible = false) {
+  async closeContainer(containerId, onlyVisible = false) {
     const containerData = this.containers.get(containerId);
-    if (!containerData) return;
+    if (!containerData) return false;
 
-    // Get all windows in this container (including those in popups)
+    // Get all windows in this container (including those in popups).
+    // Closing only the visible windows leaves pinned tabs open.
     const windowsInContainer = Array.from(this.windows.values()).filter(
-      (w) => w.containerId === containerId && (!onlyVisible || !w.isInPopup)
+      (w) =>
+        w.containerId === containerId &&
+        (!onlyVisible || (!w.isInPopup && !w.isPinned))
     );
 
-    // Close all windows (iterate backwards to avoid issues with collection modification)
+    // Close windows one at a time so close guards never prompt on top of each other.
+    // Windows whose guard refuses stay open.
+    let allClosed = true;
     for (let i = windowsInContainer.length - 1; i >= 0; i--) {
-      this.closeWindow(windowsInContainer[i].id);
+      if (!(await this.closeWindow(windowsInContainer[i].id))) {
+        allClosed = false;
+      }
     }
+    return allClosed;
   },
 
   minimizeContainer(containerId) {
     const containerData = this.containers.get(containerId);
-    if (!containerData) return;
+    if (!containerData || containerData.isModal) return;
 
     containerData.element.style.display = "none";
     containerData.isMinimized = true;
+    if (containerData.dockEdge) {
+      this.layoutDockedPanels();
+    }
 
     // Mark all windows in this container as minimized and call callbacks
     this.windows.forEach((windowData) => {
@@ -1274,7 +4907,9 @@ export const DialogManager = {
       }
     });
 
+    this.saveContainerGeometry(containerId);
     this.updateMinimizedDock();
+    this.emit("container:minimized", { containerId });
   },
 
   restoreContainer(containerId) {
@@ -1283,6 +4918,9 @@ export const DialogManager = {
 
     containerData.element.style.display = "flex";
     containerData.isMinimized = false;
+    if (containerData.dockEdge) {
+      this.layoutDockedPanels();
+    }
 
     // Mark all windows in this container as not minimized and call callbacks
     this.windows.forEach((windowData) => {
@@ -1301,7 +4939,205 @@ export const DialogManager = {
     });
 
     this.bringContainerToFront(containerId);
+    this.saveContainerGeometry(containerId);
     this.updateMinimizedDock();
+    this.emit("container:restored", { containerId });
+  },
+
+  maximizeContainer(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData || containerData.isMaximized || containerData.isModal) {
+      return;
+    }
+
+    if (containerData.dockEdge) {
+      this.undockContainer(containerId);
+    }
+
+    // Remember exactly where the container was, snapped or not
+    const element = containerData.element;
+    containerData.floatingGeometry = this.getContainerGeometry(element);
+    containerData.isMaximized = true;
+    element.classList.add("window-manager-maximized");
+    this.updateMaximizeButton(containerData);
+
+    this.fitToFloatingArea(element);
+    this.bringContainerToFront(containerId);
+    this.saveContainerGeometry(containerId);
+    this.emit("container:maximized", { containerId });
+  },
+
+  unmaximizeContainer(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData || !containerData.isMaximized) return;
+
+    const element = containerData.element;
+    const geometry =
+      containerData.floatingGeometry || this.getContainerGeometry(element);
+    element.style.left = geometry.left + "px";
+    element.style.top = geometry.top + "px";
+    element.style.width = geometry.width + "px";
+    element.style.height = geometry.height + "px";
+    containerData.floatingGeometry = null;
+    containerData.isMaximized = false;
+    element.classList.remove("window-manager-maximized");
+    this.updateMaximizeButton(containerData);
+
+    this.constrainToViewport(element);
+    this.saveContainerGeometry(containerId);
+    this.emit("container:unmaximized", { containerId });
+  },
+
+  toggleMaximizeContainer(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData) return;
+
+    if (containerData.isMaximized) {
+      this.unmaximizeContainer(containerId);
+    } else {
+      this.maximizeContainer(containerId);
+    }
+  },
+
+  updateMaximizeButton(containerData) {
+    const button = containerData.element.querySelector(".maximize-btn");
+    if (!button) return;
+
+    button.textContent = containerData.isMaximized ? "❐" : "□";
+    button.title = containerData.isMaximized ? "Restore" : "Maximize";
+    button.setAttribute("aria-label", button.title);
+  },
+
+  fitToFloatingArea(container) {
+    const area = this.getFloatingArea();
+    container.style.left = area.left + "px";
+    container.style.top = area.top + "px";
+    container.style.width = area.width + "px";
+    container.style.height = area.height + "px";
+  },
+
+  rollUpContainer(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (
+      !containerData ||
+      containerData.isRolledUp ||
+      containerData.dockEdge ||
+      containerData.isModal
+    ) {
+      return;
+    }
+
+    // Only the header stays visible, the inline size is kept for unrolling
+    containerData.isRolledUp = true;
+    containerData.element.classList.add("window-manager-rolled-up");
+    this.updateRollUpButton(containerData);
+    this.emit("container:rolledup", { containerId });
+  },
+
+  unrollContainer(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData || !containerData.isRolledUp) return;
+
+    containerData.isRolledUp = false;
+    containerData.element.classList.remove("window-manager-rolled-up");
+    this.updateRollUpButton(containerData);
+    this.constrainToViewport(containerData.element);
+    this.emit("container:unrolled", { containerId });
+  },
+
+  toggleRollUpContainer(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData) return;
+
+    if (containerData.isRolledUp) {
+      this.unrollContainer(containerId);
+    } else {
+      this.rollUpContainer(containerId);
+    }
+  },
+
+  updateRollUpButton(containerData) {
+    const button = containerData.element.querySelector(".rollup-btn");
+    if (!button) return;
+
+    button.textContent = containerData.isRolledUp ? "▾" : "▴";
+    button.title = containerData.isRolledUp ? "Unroll" : "Roll up";
+    button.setAttribute("aria-label", button.title);
+    button.setAttribute(
+      "aria-expanded",
+      containerData.isRolledUp ? "false" : "true"
+    );
+  },
+
+  async enterFullscreen(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData) return false;
+
+    const element = containerData.element;
+    if (!element.requestFullscreen) {
+      console.warn("Fullscreen is not supported in this browser.");
+      return false;
+    }
+
+    this.setupFullscreenListener();
+
+    try {
+      await element.requestFullscreen();
+      return true;
+    } catch (error) {
+      console.error("Error entering fullscreen:", error);
+      return false;
+    }
+  },
+
+  async exitFullscreen() {
+    const fullscreenElement = document.fullscreenElement;
+    if (
+      !fullscreenElement ||
+      !fullscreenElement.classList.contains("window-manager-dialog-container")
+    ) {
+      return false;
+    }
+
+    try {
+      await document.exitFullscreen();
+      return true;
+    } catch (error) {
+      console.error("Error exiting fullscreen:", error);
+      return false;
+    }
+  },
+
+  toggleFullscreen(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (containerData && containerData.isFullscreen) {
+      return this.exitFullscreen();
+    }
+    return this.enterFullscreen(containerId);
+  },
+
+  setupFullscreenListener() {
+    if (this.fullscreenListenerAdded) return;
+    this.fullscreenListenerAdded = true;
+
+    // Fullscreen can also be left with Escape, so track the browser's state
+    document.addEventListener("fullscreenchange", () => {
+      this.containers.forEach((containerData) => {
+        const isFullscreen =
+          document.fullscreenElement === containerData.element;
+        if (containerData.isFullscreen === isFullscreen) return;
+
+        containerData.isFullscreen = isFullscreen;
+        containerData.element.classList.toggle(
+          "window-manager-fullscreen",
+          isFullscreen
+        );
+        this.emit("container:fullscreen", {
+          containerId: containerData.id,
+          isFullscreen,
+        });
+      });
+    });
   },
 
   updateMinimizedDock() {
@@ -1309,10 +5145,16 @@ export const DialogManager = {
 
     this.minimizedDock.innerHTML = "";
 
-    // Group minimized windows by container
+    // Group minimized windows by container, keeping the user's dock order
     const minimizedContainers = Array.from(this.containers.values()).filter(
       (c) => c.isMinimized
     );
+    const dockIndex = (containerData) => {
+      const index = this.dockOrder.indexOf(containerData.id);
+      return index === -1 ? Infinity : index;
+    };
+    minimizedContainers.sort((a, b) => dockIndex(a) - dockIndex(b));
+    this.dockOrder = minimizedContainers.map((c) => c.id);
 
     if (minimizedContainers.length === 0) {
       this.minimizedDock.style.display = "none";
@@ -1335,18 +5177,41 @@ export const DialogManager = {
       dockItem.dataset.containerId = containerData.id;
 
       // Show all tab names if multiple, otherwise just the one
-      if (windowsInContainer.length > 1) {
-        dockItem.textContent = windowsInContainer
-          .map((w) => w.title)
-          .join(", ");
-      } else {
-        dockItem.textContent = windowsInContainer[0].title;
-      }
+      windowsInContainer.forEach((w, index) => {
+        if (index > 0) {
+          dockItem.appendChild(document.createTextNode(", "));
+        }
+        const label = document.createElement("span");
+        label.dataset.windowId = w.id;
+        this.renderWindowTitle(label, w);
+        dockItem.appendChild(label);
+      });
 
       dockItem.addEventListener("click", () => {
         this.restoreContainer(containerData.id);
       });
 
+      // The menu acts on the tab name under the pointer, or the active tab
+      dockItem.addEventListener("contextmenu", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const label = e.target.closest("[data-window-id]");
+        const windowId = label
+          ? label.dataset.windowId
+          : windowsInContainer.some((w) => w.id === containerData.activeWindowId)
+            ? containerData.activeWindowId
+            : windowsInContainer[0].id;
+
+        let { clientX: x, clientY: y } = e;
+        if (x === 0 && y === 0) {
+          const rect = dockItem.getBoundingClientRect();
+          x = rect.left;
+          y = rect.top;
+        }
+        this.showTabContextMenu(windowId, x, y);
+      });
+
       // Drag handlers for reordering
       dockItem.addEventListener("dragstart", (e) => {
         dockItem.classList.add("window-manager-dock-item-dragging");
@@ -1374,66 +5239,318 @@ export const DialogManager = {
         );
         if (!draggingItem || draggingItem === dockItem) return;
 
-        // Determine drop position
-        const rect = dockItem.getBoundingClientRect();
-        const midX = rect.left + rect.width / 2;
-        const insertBefore = e.clientX < midX;
+        // Determine drop position
+        const rect = dockItem.getBoundingClientRect();
+        const midX = rect.left + rect.width / 2;
+        const insertBefore = e.clientX < midX;
+
+        // Remove previous indicators
+        document
+          .querySelectorAll(".window-manager-dock-item")
+          .forEach((item) => {
+            item.classList.remove(
+              "window-manager-dock-drop-indicator-before",
+              "window-manager-dock-drop-indicator-after"
+            );
+          });
+
+        // Add new indicator
+        if (insertBefore) {
+          dockItem.classList.add("window-manager-dock-drop-indicator-before");
+        } else {
+          dockItem.classList.add("window-manager-dock-drop-indicator-after");
+        }
+      });
+
+      dockItem.addEventListener("dragleave", (e) => {
+        if (!dockItem.contains(e.relatedTarget)) {
+          dockItem.classList.remove(
+            "window-manager-dock-drop-indicator-before",
+            "window-manager-dock-drop-indicator-after"
+          );
+        }
+      });
+
+      dockItem.addEventListener("drop", (e) => {
+        e.preventDefault();
+        const draggingItem = document.querySelector(
+          ".window-manager-dock-item-dragging"
+        );
+        if (!draggingItem || draggingItem === dockItem) return;
+
+        // Determine drop position
+        const rect = dockItem.getBoundingClientRect();
+        const midX = rect.left + rect.width / 2;
+        const insertBefore = e.clientX < midX;
+
+        // Reorder in DOM
+        if (insertBefore) {
+          this.minimizedDock.insertBefore(draggingItem, dockItem);
+        } else {
+          this.minimizedDock.insertBefore(draggingItem, dockItem.nextSibling);
+        }
+        this.dockOrder = Array.from(this.minimizedDock.children).map(
+          (item) => item.dataset.containerId
+        );
+
+        // Clean up
+        dockItem.classList.remove(
+          "window-manager-dock-drop-indicator-before",
+          "window-manager-dock-drop-indicator-after"
+        );
+      });
+
+      this.minimizedDock.appendChild(dockItem);
+    });
+  },
+
+  serializeLayout() {
+    const containers = [];
+
+    this.containers.forEach((containerData) => {
+      const element = containerData.element;
+
+      // Modals only live as long as the code waiting for them
+      if (containerData.isModal) return;
+
+      // Tab order is read from the tab strip, popped out windows keep their hidden tab
+      const tabs = Array.from(
+        element.querySelectorAll(".window-manager-dialog-tab")
+      )
+        .map((tab) => tab.dataset.windowId)
+        .filter((windowId) => this.windows.has(windowId));
+
+      if (tabs.length === 0) return;
+
+      containers.push({
+        id: containerData.id,
+        ...this.getFloatingGeometry(containerData),
+        zIndex: parseInt(element.style.zIndex) || BASE_Z_INDEX,
+        isMinimized: containerData.isMinimized,
+        isMaximized: containerData.isMaximized,
+        isRolledUp: containerData.isRolledUp,
+        isPoppedOut: !!containerData.popupWindow,
+        dockEdge: containerData.dockEdge,
+        dockShare: containerData.dockShare,
+        activeWindowId: containerData.activeWindowId,
+        tabs,
+        panes:
+          containerData.panes.size > 1
+            ? this.serializePaneTree(
+                containerData,
+                element.querySelector(".window-manager-dialog-tabs-content")
+                  .firstElementChild
+              )
+            : null,
+      });
+    });
+
+    const savedIds = containers.map((c) => c.id);
+
+    const dockEdges = {};
+    Object.entries(this.dockEdges).forEach(([edge, edgeData]) => {
+      dockEdges[edge] = {
+        size: edgeData.size,
+        containerIds: edgeData.containerIds.filter((id) =>
+          savedIds.includes(id)
+        ),
+      };
+    });
+
+    return {
+      version: LAYOUT_VERSION,
+      containers,
+      dockEdges,
+      dockOrder: this.dockOrder.filter((id) => savedIds.includes(id)),
+      poppedOut: Array.from(this.windows.values())
+        .filter((w) => w.isInPopup)
+        .map((w) => w.id),
+    };
+  },
+
+  serializePaneTree(containerData, node) {
+    if (node.classList.contains("window-manager-split")) {
+      const [first, , second] = node.children;
+      return {
+        direction: node.dataset.direction,
+        sizes: [first, second].map((child) => parseFloat(child.style.flex) || 1),
+        children: [
+          this.serializePaneTree(containerData, first),
+          this.serializePaneTree(containerData, second),
+        ],
+      };
+    }
+
+    const pane = containerData.panes.get(node.dataset.paneId);
+    return {
+      tabs: Array.from(pane.tabsElement.children)
+        .map((tab) => tab.dataset.windowId)
+        .filter((windowId) => this.windows.has(windowId)),
+      activeWindowId: pane.activeWindowId,
+    };
+  },
+
+  restorePaneTree(containerId, paneId, node, leaves = []) {
+    if (!node.children) {
+      leaves.push({ paneId, ...node });
+      return leaves;
+    }
+
+    const newPane = this.splitPane(
+      containerId,
+      paneId,
+      node.direction === "vertical" ? "bottom" : "right"
+    );
+    const [first, , second] = newPane.element.parentElement.children;
+    const sizes = node.sizes || [1, 1];
+    first.style.flex = `${sizes[0]} 1 0`;
+    second.style.flex = `${sizes[1]} 1 0`;
+
+    this.restorePaneTree(containerId, paneId, node.children[0], leaves);
+    this.restorePaneTree(containerId, newPane.id, node.children[1], leaves);
+    return leaves;
+  },
+
+  restoreLayout(layout) {
+    if (!this.minimizedDock) this.init();
+
+    if (typeof layout === "string") {
+      try {
+        layout = JSON.parse(layout);
+      } catch (error) {
+        console.error("Error parsing layout:", error);
+        return false;
+      }
+    }
+
+    if (!layout || !Array.isArray(layout.containers)) {
+      console.warn("Invalid layout, nothing restored.");
+      return false;
+    }
+
+    if (layout.version !== LAYOUT_VERSION) {
+      console.warn(`Unsupported layout version: ${layout.version}`);
+      return false;
+    }
 
-        // Remove previous indicators
-        document
-          .querySelectorAll(".window-manager-dock-item")
-          .forEach((item) => {
-            item.classList.remove(
-              "window-manager-dock-drop-indicator-before",
-              "window-manager-dock-drop-indicator-after"
-            );
-          });
+    const restored = [];
+    const containerIdMap = new Map(); // Saved container ID -> new container ID
 
-        // Add new indicator
-        if (insertBefore) {
-          dockItem.classList.add("window-manager-dock-drop-indicator-before");
-        } else {
-          dockItem.classList.add("window-manager-dock-drop-indicator-after");
-        }
+    layout.containers.forEach((savedContainer) => {
+      // Only windows that are open and docked in the editor can be re-homed
+      const windowIds = (savedContainer.tabs || []).filter((windowId) => {
+        const windowData = this.windows.get(windowId);
+        return windowData && !windowData.isInPopup;
       });
 
-      dockItem.addEventListener("dragleave", (e) => {
-        if (!dockItem.contains(e.relatedTarget)) {
-          dockItem.classList.remove(
-            "window-manager-dock-drop-indicator-before",
-            "window-manager-dock-drop-indicator-after"
-          );
+      if (windowIds.length === 0) return;
+
+      const container = this.createNewContainer(
+        { left: savedContainer.left, top: savedContainer.top },
+        { width: savedContainer.width, height: savedContainer.height }
+      );
+      const containerId = container.dataset.containerId;
+      const containerData = this.containers.get(containerId);
+      this.constrainToViewport(container);
+
+      // Split panes are rebuilt first so windows can move straight into them
+      const paneLeaves = savedContainer.panes
+        ? this.restorePaneTree(
+            containerId,
+            containerData.activePaneId,
+            savedContainer.panes
+          )
+        : [];
+      const paneByWindow = new Map();
+      paneLeaves.forEach((leaf) =>
+        (leaf.tabs || []).forEach((windowId) =>
+          paneByWindow.set(windowId, leaf.paneId)
+        )
+      );
+
+      // Moving in saved order appends the tabs in that order
+      windowIds.forEach((windowId) => {
+        this.moveWindowToContainer(
+          windowId,
+          containerId,
+          paneByWindow.get(windowId)
+        );
+        this.windows.get(windowId).isMinimized = false;
+      });
+
+      paneLeaves.forEach((leaf) => {
+        if (paneByWindow.get(leaf.activeWindowId) === leaf.paneId) {
+          this.focusWindowInContainer(leaf.activeWindowId, containerId);
         }
       });
+      this.collapseEmptyPanes(containerData);
 
-      dockItem.addEventListener("drop", (e) => {
-        e.preventDefault();
-        const draggingItem = document.querySelector(
-          ".window-manager-dock-item-dragging"
-        );
-        if (!draggingItem || draggingItem === dockItem) return;
+      const activeWindowId = windowIds.includes(savedContainer.activeWindowId)
+        ? savedContainer.activeWindowId
+        : windowIds[0];
+      this.focusWindowInContainer(activeWindowId, containerId);
 
-        // Determine drop position
-        const rect = dockItem.getBoundingClientRect();
-        const midX = rect.left + rect.width / 2;
-        const insertBefore = e.clientX < midX;
+      // Maximized containers are refitted once the docked panels are back
+      if (savedContainer.isMaximized) {
+        this.maximizeContainer(containerId);
+      }
+      if (savedContainer.isRolledUp) {
+        this.rollUpContainer(containerId);
+      }
 
-        // Reorder in DOM
-        if (insertBefore) {
-          this.minimizedDock.insertBefore(draggingItem, dockItem);
-        } else {
-          this.minimizedDock.insertBefore(draggingItem, dockItem.nextSibling);
-        }
+      containerIdMap.set(savedContainer.id, containerId);
+      restored.push({ containerId, savedContainer });
+    });
 
-        // Clean up
-        dockItem.classList.remove(
-          "window-manager-dock-drop-indicator-before",
-          "window-manager-dock-drop-indicator-after"
-        );
+    // Re-apply z-order by bringing containers to front from bottom to top
+    restored
+      .slice()
+      .sort((a, b) => a.savedContainer.zIndex - b.savedContainer.zIndex)
+      .forEach(({ containerId }) => this.bringContainerToFront(containerId));
+
+    // Dock panels edge by edge so they keep their order along each edge
+    Object.entries(layout.dockEdges || {}).forEach(([edge, savedEdge]) => {
+      if (!this.dockEdges[edge]) return;
+
+      savedEdge.containerIds.forEach((savedId) => {
+        const containerId = containerIdMap.get(savedId);
+        const savedContainer = layout.containers.find((c) => c.id === savedId);
+        if (!containerId || !savedContainer) return;
+
+        this.dockContainer(containerId, edge);
+        this.containers.get(containerId).dockShare =
+          savedContainer.dockShare || 1;
       });
+      this.dockEdges[edge].size = savedEdge.size;
+    });
+    this.layoutDockedPanels();
 
-      this.minimizedDock.appendChild(dockItem);
+    restored.forEach(({ containerId, savedContainer }) => {
+      if (savedContainer.isMinimized) {
+        this.minimizeContainer(containerId);
+      }
     });
+
+    this.dockOrder = (layout.dockOrder || [])
+      .map((savedId) => containerIdMap.get(savedId))
+      .filter(Boolean);
+    this.updateMinimizedDock();
+
+    // Browsers may block popups that were not opened from a user action,
+    // in which case the window simply stays docked
+    (layout.poppedOut || []).forEach((windowId) => {
+      const windowData = this.windows.get(windowId);
+      if (windowData && !windowData.isInPopup) {
+        this.popOutWindow(windowId, { fallbackToContainer: false });
+      }
+    });
+    restored.forEach(({ containerId, savedContainer }) => {
+      if (savedContainer.isPoppedOut) {
+        this.popOutContainer(containerId);
+      }
+    });
+
+    return true;
   },
 
   makeDraggable(container) {
@@ -1444,21 +5561,31 @@ export const DialogManager = {
     let potentialMergeTarget = null;
     let mergeHoverTimer = null;
     let mergeEnabled = false;
+    let potentialDockEdge = null;
+    let dockHoverTimer = null;
+    let dockEnabled = false;
+    let snapZone = null;
+    let isModal = false;
 
     const onMouseDown = (e) => {
+      // Popped out containers are moved with their browser window
       if (
         e.target.closest(".window-manager-dialog-controls") ||
-        e.target.closest(".window-manager-dialog-tab")
+        e.target.closest(".window-manager-dialog-tab") ||
+        e.target.closest(".window-manager-tabs-strip button") ||
+        container.classList.contains("window-manager-popped-out")
       )
         return;
 
       isDragging = true;
       hasMoved = false;
       mergeEnabled = false;
+      dockEnabled = false;
       startX = e.clientX;
       startY = e.clientY;
       startLeft = container.offsetLeft;
       startTop = container.offsetTop;
+      isModal = container.classList.contains("window-manager-modal");
 
       header.style.cursor = "grabbing";
       this.bringContainerToFront(container.dataset.containerId);
@@ -1472,12 +5599,55 @@ export const DialogManager = {
       const deltaY = e.clientY - startY;
 
       // Check if we've moved enough to consider this a drag (not just a click)
-      if (!hasMoved && (Math.abs(deltaX) > 5 || Math.abs(deltaY) > 5)) {
-        hasMoved = true;
+      if (!hasMoved) {
+        const containerData = this.containers.get(
+          container.dataset.containerId
+        );
+        const isDocked = containerData && containerData.dockEdge;
+
+        if (Math.abs(deltaX) > 5 || Math.abs(deltaY) > 5) {
+          hasMoved = true;
+
+          // Docked panels turn back into floating containers once dragged,
+          // keeping the grabbed point of the header under the cursor
+          if (isDocked) {
+            const dockedRect = container.getBoundingClientRect();
+            const grabRatio = (startX - dockedRect.left) / dockedRect.width;
+            this.undockContainer(containerData.id);
+            startLeft = startX - grabRatio * container.offsetWidth;
+            startTop = dockedRect.top;
+          } else if (containerData && containerData.preSnapSize) {
+            // Containers snapped into a zone get their previous size back
+            const snappedRect = container.getBoundingClientRect();
+            const grabRatio = (startX - snappedRect.left) / snappedRect.width;
+            container.style.width = containerData.preSnapSize.width + "px";
+            container.style.height = containerData.preSnapSize.height + "px";
+            containerData.preSnapSize = null;
+            startLeft = startX - grabRatio * container.offsetWidth;
+          } else if (containerData && containerData.isMaximized) {
+            // Maximized containers get their previous geometry back the same way
+            const maximizedRect = container.getBoundingClientRect();
+            const grabRatio =
+              (startX - maximizedRect.left) / maximizedRect.width;
+            this.unmaximizeContainer(containerData.id);
+            startLeft = startX - grabRatio * container.offsetWidth;
+            startTop = maximizedRect.top;
+          }
+        } else if (isDocked) {
+          return;
+        }
       }
       let newLeft = startLeft + deltaX;
       let newTop = startTop + deltaY;
 
+      // Holding Alt moves freely without snapping
+      const snapping = this.snapOptions.enabled && !e.altKey;
+      if (snapping && hasMoved) {
+        const targets = this.getSnapTargets(container);
+        newLeft = this.snapSpan(newLeft, container.offsetWidth, targets.x);
+        newTop = this.snapSpan(newTop, container.offsetHeight, targets.y);
+      }
+
       // Constrain to viewport
       const minVisible = 50; // Minimum pixels that must remain visible
       const maxLeft = window.innerWidth - minVisible;
@@ -1491,8 +5661,8 @@ export const DialogManager = {
       container.style.left = newLeft + "px";
       container.style.top = newTop + "px";
 
-      // Check for potential merge target
-      if (hasMoved) {
+      // Check for potential merge target, modals are only moved
+      if (hasMoved && !isModal) {
         const mouseX = e.clientX;
         const mouseY = e.clientY;
 
@@ -1500,7 +5670,8 @@ export const DialogManager = {
 
         // Check if hovering over another container
         this.containers.forEach((containerData) => {
-          if (containerData.element === container) return;
+          if (containerData.element === container || containerData.popupWindow)
+            return;
 
           const rect = containerData.element.getBoundingClientRect();
           if (
@@ -1538,6 +5709,49 @@ export const DialogManager = {
             }, MERGE_HOVER_DELAY);
           }
         }
+
+        // Snap zones apply right away, corners only ever snap
+        const zone =
+          foundTarget || !snapping || !this.snapOptions.zones
+            ? null
+            : this.getSnapZoneAt(mouseX, mouseY);
+
+        // Check for a viewport edge to dock to, merging takes priority.
+        // Docking wins over the half snap zones of the same edges, holding
+        // Shift turns it off to snap instead.
+        const dockEdge =
+          foundTarget || e.shiftKey || (zone && zone.isCorner)
+            ? null
+            : this.getDockEdgeAt(mouseX, mouseY);
+        snapZone = dockEdge ? null : zone;
+
+        if (dockEdge !== potentialDockEdge) {
+          if (dockHoverTimer) {
+            clearTimeout(dockHoverTimer);
+            dockHoverTimer = null;
+          }
+          this.hideDropPreview();
+          dockEnabled = false;
+          potentialDockEdge = dockEdge;
+
+          if (potentialDockEdge) {
+            dockHoverTimer = setTimeout(() => {
+              dockEnabled = true;
+              this.showDropPreview(
+                this.getDockPreviewRect(potentialDockEdge, container)
+              );
+            }, DOCK_HOVER_DELAY);
+          }
+        }
+
+        // Until docking takes over, preview the snap zone under the cursor
+        if (!dockEnabled) {
+          if (snapZone) {
+            this.showDropPreview(snapZone.rect);
+          } else {
+            this.hideDropPreview();
+          }
+        }
       }
     };
 
@@ -1546,11 +5760,16 @@ export const DialogManager = {
         isDragging = false;
         header.style.cursor = "grab";
 
-        // Clear hover timer
+        // Clear hover timers
         if (mergeHoverTimer) {
           clearTimeout(mergeHoverTimer);
           mergeHoverTimer = null;
         }
+        if (dockHoverTimer) {
+          clearTimeout(dockHoverTimer);
+          dockHoverTimer = null;
+        }
+        this.hideDropPreview();
 
         // Remove all merge highlights
         this.containers.forEach((containerData) => {
@@ -1564,12 +5783,28 @@ export const DialogManager = {
 
           // Merge all windows from source to target
           this.mergeContainers(sourceContainerId, targetContainerId);
+        } else if (hasMoved && potentialDockEdge && dockEnabled) {
+          this.dockContainer(container.dataset.containerId, potentialDockEdge);
         } else {
+          if (hasMoved && snapZone) {
+            this.applySnapZone(container, snapZone);
+          }
           this.constrainToViewport(container);
+          if (hasMoved) {
+            this.saveContainerGeometry(container.dataset.containerId);
+            this.emit("container:moved", {
+              containerId: container.dataset.containerId,
+              left: container.offsetLeft,
+              top: container.offsetTop,
+            });
+          }
         }
 
         potentialMergeTarget = null;
         mergeEnabled = false;
+        potentialDockEdge = null;
+        dockEnabled = false;
+        snapZone = null;
         hasMoved = false;
       }
     };
@@ -1603,6 +5838,12 @@ export const DialogManager = {
     if (windowsToMove.length > 0) {
       this.focusWindowInContainer(windowsToMove[0].id, targetContainerId);
     }
+
+    this.emit("container:merged", {
+      sourceContainerId,
+      targetContainerId,
+      windowIds: windowsToMove.map((w) => w.id),
+    });
   },
 
   makeResizable(container) {
@@ -1610,8 +5851,8 @@ export const DialogManager = {
     let resizeDirection = null;
     let startX, startY, startWidth, startHeight, startLeft, startTop;
 
-    const minWidth = 300;
-    const minHeight = 200;
+    const minWidth = MIN_CONTAINER_WIDTH;
+    const minHeight = MIN_CONTAINER_HEIGHT;
 
     // Create resize handles for all edges and corners
     const resizeHandles = {
@@ -1631,6 +5872,16 @@ export const DialogManager = {
     );
 
     const onMouseDown = (e, direction) => {
+      // Docked panels are sized by their splitters, maximized and rolled up
+      // containers by their state
+      if (
+        container.classList.contains("window-manager-docked") ||
+        container.classList.contains("window-manager-maximized") ||
+        container.classList.contains("window-manager-rolled-up") ||
+        container.classList.contains("window-manager-popped-out")
+      )
+        return;
+
       isResizing = true;
       resizeDirection = direction;
       startX = e.clientX;
@@ -1650,10 +5901,21 @@ export const DialogManager = {
       const deltaY = e.clientY - startY;
       const edgeMargin = 50; // Keep this much space visible for dragging
 
+      // Holding Alt resizes freely without snapping
+      const snapping = this.snapOptions.enabled && !e.altKey;
+      const targets = snapping ? this.getSnapTargets(container) : null;
+
       // Handle horizontal resizing
       if (resizeDirection.includes("right")) {
         let newWidth = Math.max(minWidth, startWidth + deltaX);
 
+        if (snapping) {
+          const offset = this.findSnapOffset(startLeft + newWidth, targets.x);
+          if (offset !== null && newWidth + offset >= minWidth) {
+            newWidth += offset;
+          }
+        }
+
         // Constrain so right edge of window doesn't go past left edge of viewport
         // Right edge position = startLeft + newWidth
         // Keep at least edgeMargin visible
@@ -1668,6 +5930,14 @@ export const DialogManager = {
         const widthDiff = startWidth - newWidth;
         let newLeft = startLeft + widthDiff;
 
+        if (snapping) {
+          const offset = this.findSnapOffset(newLeft, targets.x);
+          if (offset !== null && newWidth - offset >= minWidth) {
+            newLeft += offset;
+            newWidth -= offset;
+          }
+        }
+
         // Constrain so left edge of window doesn't go past right edge of viewport
         // Left edge position = newLeft
         // Keep at least edgeMargin visible
@@ -1685,6 +5955,13 @@ export const DialogManager = {
       if (resizeDirection.includes("bottom")) {
         let newHeight = Math.max(minHeight, startHeight + deltaY);
 
+        if (snapping) {
+          const offset = this.findSnapOffset(startTop + newHeight, targets.y);
+          if (offset !== null && newHeight + offset >= minHeight) {
+            newHeight += offset;
+          }
+        }
+
         // Constrain so bottom edge of window doesn't go past top edge of viewport
         // Bottom edge position = startTop + newHeight
         // Keep at least edgeMargin visible
@@ -1699,6 +5976,14 @@ export const DialogManager = {
         const heightDiff = startHeight - newHeight;
         let newTop = startTop + heightDiff;
 
+        if (snapping) {
+          const offset = this.findSnapOffset(newTop, targets.y);
+          if (offset !== null && newHeight - offset >= minHeight) {
+            newTop += offset;
+            newHeight -= offset;
+          }
+        }
+
         // Constrain so top edge of window doesn't go past bottom edge of viewport
         // Top edge position = newTop
         // Keep at least edgeMargin visible
@@ -1708,35 +5993,624 @@ export const DialogManager = {
           newHeight = startTop + startHeight - maxTopEdge;
         }
 
-        container.style.height = newHeight + "px";
-        container.style.top = newTop + "px";
-      }
-    };
+        container.style.height = newHeight + "px";
+        container.style.top = newTop + "px";
+      }
+    };
+
+    const onMouseUp = () => {
+      // A click on a handle without moving leaves the size as it was
+      const resized =
+        isResizing &&
+        (container.offsetWidth !== startWidth ||
+          container.offsetHeight !== startHeight);
+      if (resized) {
+        const containerId = container.dataset.containerId;
+        const containerData = this.containers.get(containerId);
+        if (containerData) {
+          // A resized container keeps its new size when dragged out of a snap zone
+          containerData.preSnapSize = null;
+        }
+        this.constrainToViewport(container);
+        this.saveContainerGeometry(containerId);
+
+        const size = {
+          width: container.offsetWidth,
+          height: container.offsetHeight,
+        };
+        this.emit("container:resized", { containerId, ...size });
+        this.windows.forEach((windowData) => {
+          if (windowData.containerId === containerId) {
+            this.emit("window:resized", {
+              windowId: windowData.id,
+              containerId,
+              ...size,
+            });
+          }
+        });
+      }
+      isResizing = false;
+      resizeDirection = null;
+    };
+
+    // Attach event listeners to all handles
+    Object.entries(resizeHandles).forEach(([direction, handle]) => {
+      handle.addEventListener("mousedown", (e) => onMouseDown(e, direction));
+    });
+
+    document.addEventListener("mousemove", onMouseMove);
+    document.addEventListener("mouseup", onMouseUp);
+  },
+
+  createResizeHandle(direction) {
+    const handle = document.createElement("div");
+    handle.className = `window-manager-dialog-resize-handle window-manager-resize-${direction}`;
+    return handle;
+  },
+
+  setSnapOptions(options) {
+    this.snapOptions = { ...this.snapOptions, ...options };
+  },
+
+  getSnapTargets(container) {
+    const threshold = this.snapOptions.threshold;
+    const area = this.getFloatingArea();
+    const rect = container.getBoundingClientRect();
+    const targets = {
+      x: [area.left, area.right],
+      y: [area.top, area.bottom],
+    };
+
+    // Only containers alongside this one attract its edges
+    this.containers.forEach((containerData) => {
+      const element = containerData.element;
+      if (
+        element === container ||
+        element.style.display === "none" ||
+        containerData.popupWindow
+      )
+        return;
+
+      const other = element.getBoundingClientRect();
+      if (
+        other.top - threshold <= rect.bottom &&
+        other.bottom + threshold >= rect.top
+      ) {
+        targets.x.push(other.left, other.right);
+      }
+      if (
+        other.left - threshold <= rect.right &&
+        other.right + threshold >= rect.left
+      ) {
+        targets.y.push(other.top, other.bottom);
+      }
+    });
+
+    return targets;
+  },
+
+  findSnapOffset(value, targets) {
+    // Distance to the closest target within the threshold, or null
+    let offset = null;
+    targets.forEach((target) => {
+      const distance = target - value;
+      if (
+        Math.abs(distance) <= this.snapOptions.threshold &&
+        (offset === null || Math.abs(distance) < Math.abs(offset))
+      ) {
+        offset = distance;
+      }
+    });
+    return offset;
+  },
+
+  snapSpan(start, length, targets) {
+    // Snap whichever end of the span is closest to a target
+    const startOffset = this.findSnapOffset(start, targets);
+    const endOffset = this.findSnapOffset(start + length, targets);
+
+    if (startOffset === null && endOffset === null) return start;
+    if (
+      endOffset === null ||
+      (startOffset !== null && Math.abs(startOffset) <= Math.abs(endOffset))
+    ) {
+      return start + startOffset;
+    }
+    return start + endOffset;
+  },
+
+  getSnapZoneAt(x, y) {
+    const area = this.getFloatingArea();
+    const atLeft = x <= area.left + SNAP_ZONE_THRESHOLD;
+    const atRight = x >= area.right - SNAP_ZONE_THRESHOLD;
+    const atTop = y <= area.top + SNAP_ZONE_THRESHOLD;
+    const atBottom = y >= area.bottom - SNAP_ZONE_THRESHOLD;
+    const nearLeft = x <= area.left + SNAP_ZONE_CORNER_SIZE;
+    const nearRight = x >= area.right - SNAP_ZONE_CORNER_SIZE;
+    const nearTop = y <= area.top + SNAP_ZONE_CORNER_SIZE;
+    const nearBottom = y >= area.bottom - SNAP_ZONE_CORNER_SIZE;
+
+    const halfWidth = Math.round(area.width / 2);
+    const halfHeight = Math.round(area.height / 2);
+    const column = (right) => ({
+      left: right ? area.left + halfWidth : area.left,
+      width: right ? area.width - halfWidth : halfWidth,
+    });
+    const row = (bottom) => ({
+      top: bottom ? area.top + halfHeight : area.top,
+      height: bottom ? area.height - halfHeight : halfHeight,
+    });
+
+    // Corners snap to quarters, reached along either of their two edges
+    const corners = [
+      { name: "top-left", hit: (atLeft && nearTop) || (atTop && nearLeft) },
+      { name: "top-right", hit: (atRight && nearTop) || (atTop && nearRight) },
+      {
+        name: "bottom-left",
+        hit: (atLeft && nearBottom) || (atBottom && nearLeft),
+      },
+      {
+        name: "bottom-right",
+        hit: (atRight && nearBottom) || (atBottom && nearRight),
+      },
+    ];
+    const corner = corners.find((c) => c.hit);
+    if (corner) {
+      return {
+        name: corner.name,
+        isCorner: true,
+        rect: {
+          ...column(corner.name.endsWith("right")),
+          ...row(corner.name.startsWith("bottom")),
+        },
+      };
+    }
+
+    if (atLeft || atRight) {
+      return {
+        name: atLeft ? "left" : "right",
+        isCorner: false,
+        rect: { ...column(atRight), top: area.top, height: area.height },
+      };
+    }
+
+    // The top edge maximizes
+    if (atTop) {
+      return {
+        name: "maximize",
+        isCorner: false,
+        rect: {
+          left: area.left,
+          top: area.top,
+          width: area.width,
+          height: area.height,
+        },
+      };
+    }
+
+    return null;
+  },
+
+  applySnapZone(container, snapZone) {
+    const containerData = this.containers.get(container.dataset.containerId);
+
+    if (snapZone.name === "maximize") {
+      this.maximizeContainer(container.dataset.containerId);
+      return;
+    }
+
+    // Remember the size to return to when the container is dragged out again
+    if (containerData && !containerData.preSnapSize) {
+      containerData.preSnapSize = {
+        width: container.offsetWidth,
+        height: container.offsetHeight,
+      };
+    }
+
+    container.style.left = snapZone.rect.left + "px";
+    container.style.top = snapZone.rect.top + "px";
+    container.style.width = snapZone.rect.width + "px";
+    container.style.height = snapZone.rect.height + "px";
+  },
+
+  dockContainer(containerId, edge) {
+    const containerData = this.containers.get(containerId);
+    const edgeData = this.dockEdges[edge];
+    if (!containerData || !edgeData || containerData.isModal) return;
+
+    if (containerData.isMaximized) {
+      this.unmaximizeContainer(containerId);
+    }
+    if (containerData.isRolledUp) {
+      this.unrollContainer(containerId);
+    }
+
+    if (containerData.dockEdge) {
+      this.removeFromDockEdge(containerData);
+    } else {
+      containerData.floatingGeometry = this.getContainerGeometry(
+        containerData.element
+      );
+    }
+
+    // The first panel on an edge decides how wide or tall the edge is
+    if (edgeData.containerIds.length === 0) {
+      const geometry = containerData.floatingGeometry;
+      edgeData.size = this.clampDockSize(
+        edge,
+        edge === "bottom" ? geometry.height : geometry.width
+      );
+    }
+
+    edgeData.containerIds.push(containerId);
+    containerData.dockEdge = edge;
+    containerData.dockShare = 1;
+
+    const element = containerData.element;
+    element.classList.add(
+      "window-manager-docked",
+      `window-manager-docked-${edge}`
+    );
+    element.style.zIndex = DOCKED_Z_INDEX;
+
+    this.layoutDockedPanels();
+    this.saveContainerGeometry(containerId);
+    this.emit("container:docked", { containerId, edge });
+  },
+
+  undockContainer(containerId) {
+    const containerData = this.containers.get(containerId);
+    if (!containerData || !containerData.dockEdge) return;
+
+    this.removeFromDockEdge(containerData);
+
+    const element = containerData.element;
+    const geometry =
+      containerData.floatingGeometry || this.getContainerGeometry(element);
+    element.style.left = geometry.left + "px";
+    element.style.top = geometry.top + "px";
+    element.style.width = geometry.width + "px";
+    element.style.height = geometry.height + "px";
+    containerData.floatingGeometry = null;
+
+    this.layoutDockedPanels();
+    this.constrainToViewport(element);
+    this.bringContainerToFront(containerId);
+    this.saveContainerGeometry(containerId);
+    this.emit("container:undocked", { containerId });
+  },
+
+  removeFromDockEdge(containerData) {
+    const edgeData = this.dockEdges[containerData.dockEdge];
+    edgeData.containerIds = edgeData.containerIds.filter(
+      (id) => id !== containerData.id
+    );
+
+    containerData.element.classList.remove(
+      "window-manager-docked",
+      `window-manager-docked-${containerData.dockEdge}`
+    );
+    containerData.dockEdge = null;
+  },
+
+  clampDockSize(edge, size) {
+    const viewportLength =
+      edge === "bottom" ? window.innerHeight : window.innerWidth;
+    return Math.max(
+      DOCK_MIN_SIZE,
+      Math.min(size, viewportLength * DOCK_MAX_RATIO)
+    );
+  },
+
+  getVisibleDockedPanels(edge) {
+    return this.dockEdges[edge].containerIds
+      .map((id) => this.containers.get(id))
+      .filter((c) => c && c.element.style.display !== "none");
+  },
+
+  getDockEdgeSize(edge) {
+    return this.getVisibleDockedPanels(edge).length > 0
+      ? this.clampDockSize(edge, this.dockEdges[edge].size)
+      : 0;
+  },
+
+  getFloatingArea() {
+    // The part of the viewport not covered by docked panels
+    const left = this.getDockEdgeSize("left");
+    const right = window.innerWidth - this.getDockEdgeSize("right");
+    const bottom = window.innerHeight - this.getDockEdgeSize("bottom");
+
+    return {
+      left,
+      top: 0,
+      right,
+      bottom,
+      width: right - left,
+      height: bottom,
+    };
+  },
+
+  getDockEdgeRects() {
+    const left = this.getDockEdgeSize("left");
+    const right = this.getDockEdgeSize("right");
+    const bottom = this.getDockEdgeSize("bottom");
+
+    // Side panels take the full height, the bottom panel fits between them
+    return {
+      left: { left: 0, top: 0, width: left, height: window.innerHeight },
+      right: {
+        left: window.innerWidth - right,
+        top: 0,
+        width: right,
+        height: window.innerHeight,
+      },
+      bottom: {
+        left,
+        top: window.innerHeight - bottom,
+        width: window.innerWidth - left - right,
+        height: bottom,
+      },
+    };
+  },
+
+  getDockEdgeAt(x, y) {
+    if (x <= DOCK_EDGE_THRESHOLD) return "left";
+    if (x >= window.innerWidth - DOCK_EDGE_THRESHOLD) return "right";
+    if (y >= window.innerHeight - DOCK_EDGE_THRESHOLD) return "bottom";
+    return null;
+  },
+
+  getDockPreviewRect(edge, container) {
+    const rects = this.getDockEdgeRects();
+    const size =
+      this.getVisibleDockedPanels(edge).length > 0
+        ? this.clampDockSize(edge, this.dockEdges[edge].size)
+        : this.clampDockSize(
+            edge,
+            edge === "bottom" ? container.offsetHeight : container.offsetWidth
+          );
+
+    if (edge === "left") {
+      return { ...rects.left, width: size };
+    }
+    if (edge === "right") {
+      return { ...rects.right, left: window.innerWidth - size, width: size };
+    }
+    return {
+      ...rects.bottom,
+      top: window.innerHeight - size,
+      height: size,
+    };
+  },
+
+  layoutDockedPanels() {
+    this.dockSplitters.forEach((splitter) => splitter.remove());
+    this.dockSplitters = [];
+
+    const edgeRects = this.getDockEdgeRects();
+
+    Object.keys(this.dockEdges).forEach((edge) => {
+      const panels = this.getVisibleDockedPanels(edge);
+      if (panels.length === 0) return;
+
+      // Panels stack vertically on the side edges and horizontally at the bottom
+      const rect = edgeRects[edge];
+      const vertical = edge !== "bottom";
+      const edgeLength = vertical ? rect.height : rect.width;
+      const totalShare = panels.reduce((sum, c) => sum + c.dockShare, 0);
+
+      let offset = 0;
+      panels.forEach((containerData, index) => {
+        const length =
+          index === panels.length - 1
+            ? edgeLength - offset
+            : Math.round((edgeLength * containerData.dockShare) / totalShare);
+
+        const style = containerData.element.style;
+        style.left = (vertical ? rect.left : rect.left + offset) + "px";
+        style.top = (vertical ? rect.top + offset : rect.top) + "px";
+        style.width = (vertical ? rect.width : length) + "px";
+        style.height = (vertical ? length : rect.height) + "px";
+
+        if (index > 0) {
+          this.createPanelSplitter(edge, panels[index - 1], containerData);
+        }
+
+        offset += length;
+      });
+
+      this.createEdgeSplitter(edge, rect);
+    });
+
+    // Maximized containers fill whatever space the docked panels leave
+    this.containers.forEach((containerData) => {
+      if (containerData.isMaximized) {
+        this.fitToFloatingArea(containerData.element);
+      }
+    });
+  },
+
+  createEdgeSplitter(edge, rect) {
+    // Sits on the inner side of the edge and changes how much space it takes
+    const vertical = edge !== "bottom";
+    const position = {
+      left: {
+        left: rect.left + rect.width - SPLITTER_SIZE / 2,
+        top: rect.top,
+        width: SPLITTER_SIZE,
+        height: rect.height,
+      },
+      right: {
+        left: rect.left - SPLITTER_SIZE / 2,
+        top: rect.top,
+        width: SPLITTER_SIZE,
+        height: rect.height,
+      },
+      bottom: {
+        left: rect.left,
+        top: rect.top - SPLITTER_SIZE / 2,
+        width: rect.width,
+        height: SPLITTER_SIZE,
+      },
+    }[edge];
+
+    const startSize = this.getDockEdgeSize(edge);
+    this.createSplitter(
+      vertical ? "vertical" : "horizontal",
+      position,
+      (deltaX, deltaY) => {
+        const delta = {
+          left: deltaX,
+          right: -deltaX,
+          bottom: -deltaY,
+        }[edge];
+        this.dockEdges[edge].size = this.clampDockSize(
+          edge,
+          startSize + delta
+        );
+        this.layoutDockedPanels();
+      },
+      () => this.emitDockedPanelsResized(edge)
+    );
+  },
+
+  createPanelSplitter(edge, before, after) {
+    // Sits between two panels sharing an edge and moves the boundary between them
+    const vertical = edge !== "bottom";
+    const beforeRect = before.element.getBoundingClientRect();
+    const afterRect = after.element.getBoundingClientRect();
+
+    const position = vertical
+      ? {
+          left: afterRect.left,
+          top: afterRect.top - SPLITTER_SIZE / 2,
+          width: afterRect.width,
+          height: SPLITTER_SIZE,
+        }
+      : {
+          left: afterRect.left - SPLITTER_SIZE / 2,
+          top: afterRect.top,
+          width: SPLITTER_SIZE,
+          height: afterRect.height,
+        };
+
+    const beforeLength = vertical ? beforeRect.height : beforeRect.width;
+    const totalLength =
+      beforeLength + (vertical ? afterRect.height : afterRect.width);
+    const totalShare = before.dockShare + after.dockShare;
+
+    this.createSplitter(
+      vertical ? "horizontal" : "vertical",
+      position,
+      (deltaX, deltaY) => {
+        const newLength = Math.max(
+          DOCK_MIN_PANEL_LENGTH,
+          Math.min(
+            beforeLength + (vertical ? deltaY : deltaX),
+            totalLength - DOCK_MIN_PANEL_LENGTH
+          )
+        );
+        before.dockShare = (totalShare * newLength) / totalLength;
+        after.dockShare = totalShare - before.dockShare;
+        this.layoutDockedPanels();
+      },
+      () => this.emitDockedPanelsResized(edge)
+    );
+  },
+
+  createSplitter(orientation, position, onDrag, onDragEnd) {
+    const splitter = document.createElement("div");
+    splitter.className = `window-manager-dock-splitter window-manager-dock-splitter-${orientation}`;
+    splitter.style.left = position.left + "px";
+    splitter.style.top = position.top + "px";
+    splitter.style.width = position.width + "px";
+    splitter.style.height = position.height + "px";
 
-    const onMouseUp = () => {
-      if (isResizing) {
-        this.constrainToViewport(container);
-      }
-      isResizing = false;
-      resizeDirection = null;
-    };
+    splitter.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
 
-    // Attach event listeners to all handles
-    Object.entries(resizeHandles).forEach(([direction, handle]) => {
-      handle.addEventListener("mousedown", (e) => onMouseDown(e, direction));
+      const startX = e.clientX;
+      const startY = e.clientY;
+
+      // The splitter element is recreated on every layout, so track the
+      // drag on the document rather than on the splitter itself
+      const onMouseMove = (moveEvent) => {
+        onDrag(moveEvent.clientX - startX, moveEvent.clientY - startY);
+      };
+      const onMouseUp = () => {
+        document.removeEventListener("mousemove", onMouseMove);
+        document.removeEventListener("mouseup", onMouseUp);
+        if (onDragEnd) onDragEnd();
+      };
+
+      document.addEventListener("mousemove", onMouseMove);
+      document.addEventListener("mouseup", onMouseUp);
     });
 
-    document.addEventListener("mousemove", onMouseMove);
-    document.addEventListener("mouseup", onMouseUp);
+    this.setupEventIsolation(splitter);
+    document.body.appendChild(splitter);
+    this.dockSplitters.push(splitter);
+    return splitter;
   },
 
-  createResizeHandle(direction) {
-    const handle = document.createElement("div");
-    handle.className = `window-manager-dialog-resize-handle window-manager-resize-${direction}`;
-    return handle;
+  emitDockedPanelsResized(edge) {
+    this.getVisibleDockedPanels(edge).forEach((containerData) => {
+      this.emit("container:resized", {
+        containerId: containerData.id,
+        width: containerData.element.offsetWidth,
+        height: containerData.element.offsetHeight,
+      });
+    });
+  },
+
+  showDropPreview(rect) {
+    if (!this.dropPreview) {
+      this.dropPreview = document.createElement("div");
+      this.dropPreview.className = "window-manager-drop-preview";
+      this.dropPreview.style.zIndex = PREVIEW_Z_INDEX;
+      document.body.appendChild(this.dropPreview);
+    }
+
+    this.dropPreview.style.left = rect.left + "px";
+    this.dropPreview.style.top = rect.top + "px";
+    this.dropPreview.style.width = rect.width + "px";
+    this.dropPreview.style.height = rect.height + "px";
+    this.dropPreview.style.display = "block";
+  },
+
+  hideDropPreview() {
+    if (this.dropPreview) {
+      this.dropPreview.style.display = "none";
+    }
+  },
+
+  getFloatingGeometry(containerData) {
+    // Docked and maximized containers report the geometry they return to
+    return (
+      containerData.floatingGeometry ||
+      this.getContainerGeometry(containerData.element)
+    );
+  },
+
+  getContainerGeometry(container) {
+    // Minimized containers have no layout box, so read the inline styles first
+    return {
+      left: parseFloat(container.style.left) || container.offsetLeft,
+      top: parseFloat(container.style.top) || container.offsetTop,
+      width: parseFloat(container.style.width) || container.offsetWidth,
+      height: parseFloat(container.style.height) || container.offsetHeight,
+    };
   },
 
   constrainToViewport(container) {
+    // Docked panels and maximized containers are placed by layoutDockedPanels
+    if (
+      container.classList.contains("window-manager-docked") ||
+      container.classList.contains("window-manager-maximized")
+    )
+      return;
+
     const minVisible = 50; // Minimum pixels that must remain visible
     const rect = container.getBoundingClientRect();
 
@@ -1775,6 +6649,20 @@ export const DialogManager = {
   },
 };
 
+// Converts #rgb or #rrggbb to "r, g, b", or returns null for other colors
+function hexToRgb(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color.trim());
+  if (!match) return null;
+
+  const hex =
+    match[1].length === 3
+      ? match[1].replace(/./g, (digit) => digit + digit)
+      : match[1];
+  return [0, 2, 4]
+    .map((index) => parseInt(hex.slice(index, index + 2), 16))
+    .join(", ");
+}
+
 function addDialogStyles() {
   // Check if styles already added
   if (document.querySelector("#window-manager-styles")) {
@@ -1788,9 +6676,9 @@ function addDialogStyles() {
       position: fixed;
       width: 600px;
       height: 400px;
-      background: var(--gray11, #575757);
-      border-radius: 4px;
-      box-shadow: 0 10px 40px rgba(0, 0, 0, 0.5);
+      background: var(--wm-surface, var(--gray11, #575757));
+      border-radius: var(--wm-radius, 4px);
+      box-shadow: var(--wm-shadow, 0 10px 40px rgba(0, 0, 0, 0.5));
       z-index: 10000;
       display: flex;
       flex-direction: column;
@@ -1803,19 +6691,19 @@ function addDialogStyles() {
     }
 
     .window-manager-dialog-header {
-      background: var(--gray13, #696969);
+      background: var(--wm-surface-raised, var(--gray13, #696969));
       padding: 8px 8px 0 8px;
       display: flex;
       justify-content: space-between;
       align-items: center;
       user-select: none;
       flex-shrink: 0;
-      border-radius: 4px 4px 0 0;
+      border-radius: var(--wm-radius, 4px) var(--wm-radius, 4px) 0 0;
     }
 
     .window-manager-dialog-title {
-      color: var(--gray29, #e8e8e8);
-      font-size: 14px;
+      color: var(--wm-text-strong, var(--gray29, #e8e8e8));
+      font-size: var(--wm-font-size, 14px);
       font-weight: 500;
       white-space: nowrap;
       overflow: hidden;
@@ -1828,23 +6716,59 @@ function addDialogStyles() {
       display: flex;
       gap: 2px;
       flex: 1;
+      min-width: 0;
       overflow-x: auto;
       overflow-y: hidden;
+      scrollbar-width: none;
       position: relative;
       align-items: flex-end;
     }
     
     .window-manager-dialog-tabs.window-manager-tabs-window-manager-drop-target {
-      background: rgba(var(--turquoise-rgb, 41, 243, 208), 0.1);
+      background: rgba(var(--wm-accent-rgb, var(--turquoise-rgb, 41, 243, 208)), 0.1);
     }
 
     .window-manager-dialog-tabs::-webkit-scrollbar {
-      height: 4px;
+      display: none;
     }
 
-    .window-manager-dialog-tabs::-webkit-scrollbar-thumb {
-      background: var(--gray11, #575757);
-      border-radius: 2px;
+    .window-manager-tabs-strip {
+      display: flex;
+      flex: 1;
+      min-width: 0;
+      align-items: flex-end;
+    }
+
+    .window-manager-tabs-scroll,
+    .window-manager-tabs-list {
+      display: none;
+      flex-shrink: 0;
+      align-self: center;
+      margin-bottom: 2px;
+      padding: 2px 6px;
+      background: transparent;
+      border: none;
+      border-radius: 3px;
+      color: var(--wm-text-muted, var(--gray21, #a8a8a8));
+      font-size: 14px;
+      line-height: 1;
+      cursor: pointer;
+    }
+
+    .window-manager-tabs-overflowing > .window-manager-tabs-scroll,
+    .window-manager-tabs-overflowing > .window-manager-tabs-list {
+      display: block;
+    }
+
+    .window-manager-tabs-scroll:hover:not(:disabled),
+    .window-manager-tabs-list:hover {
+      background: var(--wm-surface, var(--gray11, #575757));
+      color: var(--wm-accent, var(--turquoise, #29f3d0));
+    }
+
+    .window-manager-tabs-scroll:disabled {
+      opacity: 0.4;
+      cursor: default;
     }
 
     .window-manager-dialog-tab {
@@ -1852,27 +6776,28 @@ function addDialogStyles() {
       align-items: center;
       gap: 2px;
       padding: 8px 8px;
-      background: var(--gray7, #383838);
+      background: var(--wm-surface-sunken, var(--gray7, #383838));
       border-bottom: none;
-      border-radius: 6px 6px 0 0;
+      border-radius: var(--wm-tab-radius, 6px) var(--wm-tab-radius, 6px) 0 0;
       cursor: pointer;
       white-space: nowrap;
-      color: var(--gray18, #8f8f8f);
-      font-size: 13px;
+      color: var(--wm-text-muted, var(--gray18, #8f8f8f));
+      font-size: var(--wm-tab-font-size, 13px);
       transition: background 0.15s, color 0.15s;
       margin-bottom: -1px;
       position: relative;
+      flex-shrink: 0;
     }
 
     .window-manager-dialog-tab:hover {
-      background: var(--gray9, #474747);
-      color: var(--gray26, #cfcfcf);
+      background: var(--wm-surface-hover, var(--gray9, #474747));
+      color: var(--wm-text-strong, var(--gray26, #cfcfcf));
     }
 
     .window-manager-dialog-tab.active {
-      background: var(--gray11, #575757);
-      border-bottom: 2px solid var(--turquoise, #29f3d0);
-      color: var(--gray29, #e8e8e8);
+      background: var(--wm-surface, var(--gray11, #575757));
+      border-bottom: 2px solid var(--wm-accent, var(--turquoise, #29f3d0));
+      color: var(--wm-text-strong, var(--gray29, #e8e8e8));
       font-weight: 500;
       padding-top: 10px;
       z-index: 1;
@@ -1884,11 +6809,48 @@ function addDialogStyles() {
       margin-left: 6px;
     }
 
+    .window-manager-icon {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      width: 16px;
+      height: 16px;
+      margin-right: 6px;
+      vertical-align: middle;
+      flex-shrink: 0;
+    }
+
+    .window-manager-icon > img,
+    .window-manager-icon > svg {
+      width: 100%;
+      height: 100%;
+    }
+
+    .window-manager-dirty-marker {
+      margin-left: 4px;
+      color: var(--wm-accent, var(--turquoise, #29f3d0));
+    }
+
+    .window-manager-badge {
+      display: inline-block;
+      min-width: 8px;
+      margin-left: 6px;
+      padding: 0 5px;
+      border-radius: 8px;
+      background: var(--wm-accent, var(--turquoise, #29f3d0));
+      color: var(--wm-on-accent, rgb(var(--gray4-raw, 31, 31, 31)));
+      font-size: 11px;
+      font-weight: 600;
+      line-height: 16px;
+      text-align: center;
+      vertical-align: middle;
+    }
+
     .window-manager-dialog-tab .window-manager-tab-popout,
     .window-manager-dialog-tab .window-manager-tab-close {
       background: transparent;
       border: none;
-      color: var(--gray21, #a8a8a8);
+      color: var(--wm-text-muted, var(--gray21, #a8a8a8));
       font-size: 14px;
       width: 18px;
       height: 18px;
@@ -1904,12 +6866,12 @@ function addDialogStyles() {
 
     .window-manager-dialog-tab .window-manager-tab-popout:hover,
     .window-manager-dialog-tab .window-manager-tab-close:hover {
-      background: var(--gray11, #575757);
-      color: var(--turquoise, #29f3d0);
+      background: var(--wm-surface, var(--gray11, #575757));
+      color: var(--wm-accent, var(--turquoise, #29f3d0));
     }
 
     .window-manager-dialog-tab.window-manager-window-manager-drop-target-tab {
-      background: rgba(var(--turquoise-rgb, 41, 243, 208), 0.2);
+      background: rgba(var(--wm-accent-rgb, var(--turquoise-rgb, 41, 243, 208)), 0.2);
     }
 
     .window-manager-dialog-tab.window-manager-tab-dragging {
@@ -1927,7 +6889,7 @@ function addDialogStyles() {
       top: 0;
       bottom: 0;
       width: 3px;
-      background: var(--turquoise, #29f3d0);
+      background: var(--wm-accent, var(--turquoise, #29f3d0));
       border-radius: 2px;
       animation: window-manager-pulse-indicator 0.6s ease-in-out infinite;
     }
@@ -1943,7 +6905,7 @@ function addDialogStyles() {
       top: 0;
       bottom: 0;
       width: 3px;
-      background: var(--turquoise, #29f3d0);
+      background: var(--wm-accent, var(--turquoise, #29f3d0));
       border-radius: 2px;
       animation: window-manager-pulse-indicator 0.6s ease-in-out infinite;
     }
@@ -1968,7 +6930,7 @@ function addDialogStyles() {
     }
 
     .window-manager-dialog-container.window-manager-drop-target {
-      outline: 2px solid var(--turquoise, #29f3d0);
+      outline: 2px solid var(--wm-accent, var(--turquoise, #29f3d0));
       outline-offset: -2px;
     }
 
@@ -1982,7 +6944,7 @@ function addDialogStyles() {
     .window-manager-dialog-btn {
       background: transparent;
       border: none;
-      color: var(--gray21, #a8a8a8);
+      color: var(--wm-text-muted, var(--gray21, #a8a8a8));
       font-size: 18px;
       width: 24px;
       height: 24px;
@@ -1997,8 +6959,8 @@ function addDialogStyles() {
     }
 
     .window-manager-dialog-btn:hover {
-      background: var(--gray8, #404040);
-      color: var(--gray29, #e8e8e8);
+      background: var(--wm-surface-hover, var(--gray8, #404040));
+      color: var(--wm-text-strong, var(--gray29, #e8e8e8));
     }
 
     .window-manager-dialog-tabs-content {
@@ -2014,7 +6976,14 @@ function addDialogStyles() {
       right: 0;
       bottom: 0;
       overflow: auto;
-      color: var(--gray23, #b8b8b8);
+      color: var(--wm-text, var(--gray23, #b8b8b8));
+    }
+
+    .window-manager-frame {
+      display: block;
+      width: 100%;
+      height: 100%;
+      border: none;
     }
 
     .window-manager-dialog-resize-handle {
@@ -2088,6 +7057,286 @@ function addDialogStyles() {
       cursor: nwse-resize;
     }
 
+    .window-manager-dialog-container.window-manager-docked {
+      border-radius: 0;
+      box-shadow: none;
+    }
+
+    .window-manager-dialog-container.window-manager-docked > .window-manager-dialog-header {
+      border-radius: 0;
+    }
+
+    .window-manager-dialog-container.window-manager-docked > .window-manager-dialog-resize-handle {
+      display: none;
+    }
+
+    .window-manager-dialog-container.window-manager-maximized,
+    .window-manager-dialog-container.window-manager-maximized > .window-manager-dialog-header,
+    .window-manager-dialog-container.window-manager-fullscreen,
+    .window-manager-dialog-container.window-manager-fullscreen > .window-manager-dialog-header {
+      border-radius: 0;
+    }
+
+    .window-manager-dialog-container.window-manager-maximized > .window-manager-dialog-resize-handle,
+    .window-manager-dialog-container.window-manager-rolled-up > .window-manager-dialog-resize-handle,
+    .window-manager-dialog-container.window-manager-fullscreen > .window-manager-dialog-resize-handle {
+      display: none;
+    }
+
+    .window-manager-dialog-container.window-manager-rolled-up {
+      height: auto !important;
+    }
+
+    .window-manager-dialog-container.window-manager-rolled-up > .window-manager-dialog-tabs-content {
+      display: none;
+    }
+
+    .window-manager-dialog-container.window-manager-docked .rollup-btn {
+      display: none;
+    }
+
+    .window-manager-dialog-container.window-manager-fullscreen {
+      left: 0 !important;
+      top: 0 !important;
+      width: 100% !important;
+      height: 100% !important;
+    }
+
+    .window-manager-dialog-container.window-manager-popped-out {
+      position: relative !important;
+      left: 0 !important;
+      top: 0 !important;
+      width: 100vw !important;
+      height: 100vh !important;
+      border-radius: 0;
+      box-shadow: none;
+    }
+
+    .window-manager-dialog-container.window-manager-popped-out > .window-manager-dialog-header {
+      border-radius: 0;
+      cursor: default;
+    }
+
+    .window-manager-dialog-container:not(.window-manager-popped-out) .return-btn {
+      display: none;
+    }
+
+    .window-manager-dialog-container.window-manager-popped-out > .window-manager-dialog-resize-handle,
+    .window-manager-dialog-container.window-manager-popped-out .popout-btn,
+    .window-manager-dialog-container.window-manager-popped-out .rollup-btn,
+    .window-manager-dialog-container.window-manager-popped-out .minimize-btn,
+    .window-manager-dialog-container.window-manager-popped-out .maximize-btn,
+    .window-manager-dialog-container.window-manager-popped-out .window-manager-tab-popout {
+      display: none !important;
+    }
+
+    .window-manager-dialog-container.window-manager-keyboard-move,
+    .window-manager-dialog-container.window-manager-keyboard-resize {
+      outline: 2px dashed var(--wm-accent, var(--turquoise, #29f3d0));
+      outline-offset: 2px;
+    }
+
+    .window-manager-window-content:focus:not(:focus-visible) {
+      outline: none;
+    }
+
+    .window-manager-dialog-btn:focus-visible,
+    .window-manager-tab-popout:focus-visible,
+    .window-manager-tab-close:focus-visible,
+    .window-manager-dialog-tab:focus-visible {
+      outline: 2px solid var(--wm-accent, var(--turquoise, #29f3d0));
+      outline-offset: -2px;
+    }
+
+    .window-manager-modal-backdrop {
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: var(--wm-backdrop, rgba(0, 0, 0, 0.45));
+    }
+
+    .window-manager-message {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      box-sizing: border-box;
+      min-height: 100%;
+      padding: 16px;
+      font-size: var(--wm-font-size, 14px);
+      color: var(--wm-text-strong, var(--gray29, #e8e8e8));
+    }
+
+    .window-manager-message-text {
+      flex: 1;
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
+    }
+
+    .window-manager-message-input {
+      background: var(--wm-surface-sunken, var(--gray7, #383838));
+      border: 1px solid var(--wm-border, var(--gray13, #696969));
+      border-radius: var(--wm-radius, 4px);
+      color: var(--wm-text-strong, var(--gray29, #e8e8e8));
+      font-size: var(--wm-font-size, 14px);
+      padding: 6px 8px;
+    }
+
+    .window-manager-message-input:focus {
+      outline: none;
+      border-color: var(--wm-accent, var(--turquoise, #29f3d0));
+    }
+
+    .window-manager-message-input[aria-invalid="true"] {
+      border-color: var(--wm-danger, var(--red, #f35b5b));
+    }
+
+    .window-manager-message-error {
+      min-height: 1em;
+      margin-top: -6px;
+      font-size: 12px;
+      color: var(--wm-danger, var(--red, #f35b5b));
+    }
+
+    .window-manager-message-buttons {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+
+    .window-manager-message-btn {
+      background: var(--wm-surface-raised, var(--gray13, #696969));
+      border: none;
+      border-radius: var(--wm-radius, 4px);
+      color: var(--wm-text-strong, var(--gray29, #e8e8e8));
+      font-size: var(--wm-font-size, 14px);
+      padding: 6px 16px;
+      cursor: pointer;
+    }
+
+    .window-manager-message-btn:hover {
+      background: var(--wm-surface-hover, var(--gray18, #8f8f8f));
+    }
+
+    .window-manager-message-btn.primary {
+      background: var(--wm-accent, var(--turquoise, #29f3d0));
+      color: var(--wm-on-accent, rgb(var(--gray4-raw, 31, 31, 31)));
+    }
+
+    .window-manager-message-btn:focus-visible {
+      outline: 2px solid var(--wm-accent, var(--turquoise, #29f3d0));
+      outline-offset: 2px;
+    }
+
+    .window-manager-dialog-container.window-manager-modal .popout-btn,
+    .window-manager-dialog-container.window-manager-modal .rollup-btn,
+    .window-manager-dialog-container.window-manager-modal .minimize-btn,
+    .window-manager-dialog-container.window-manager-modal .maximize-btn {
+      display: none !important;
+    }
+
+    .window-manager-docked-left {
+      border-right: 1px solid var(--wm-border, var(--gray7, #383838));
+    }
+
+    .window-manager-docked-right {
+      border-left: 1px solid var(--wm-border, var(--gray7, #383838));
+    }
+
+    .window-manager-docked-bottom {
+      border-top: 1px solid var(--wm-border, var(--gray7, #383838));
+    }
+
+    .window-manager-dock-splitter {
+      position: fixed;
+      z-index: ${DOCKED_Z_INDEX + 1};
+      background: transparent;
+      transition: background 0.15s;
+    }
+
+    .window-manager-dock-splitter:hover {
+      background: rgba(var(--wm-accent-rgb, var(--turquoise-rgb, 41, 243, 208)), 0.5);
+    }
+
+    .window-manager-dock-splitter-vertical {
+      cursor: ew-resize;
+    }
+
+    .window-manager-dock-splitter-horizontal {
+      cursor: ns-resize;
+    }
+
+    .window-manager-drop-preview {
+      position: fixed;
+      display: none;
+      pointer-events: none;
+      box-sizing: border-box;
+      background: rgba(var(--wm-accent-rgb, var(--turquoise-rgb, 41, 243, 208)), 0.15);
+      border: 2px solid var(--wm-accent, var(--turquoise, #29f3d0));
+      border-radius: 4px;
+      transition: left 0.1s, top 0.1s, width 0.1s, height 0.1s;
+    }
+
+    .window-manager-dialog-tabs-content > .window-manager-split {
+      position: absolute;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+    }
+
+    .window-manager-split {
+      display: flex;
+      min-width: 0;
+      min-height: 0;
+    }
+
+    .window-manager-split[data-direction="vertical"] {
+      flex-direction: column;
+    }
+
+    .window-manager-split-divider {
+      flex: 0 0 4px;
+      background: var(--wm-border, var(--gray13, #696969));
+    }
+
+    .window-manager-split-divider:hover {
+      background: rgba(var(--wm-accent-rgb, var(--turquoise-rgb, 41, 243, 208)), 0.5);
+    }
+
+    .window-manager-split[data-direction="horizontal"] > .window-manager-split-divider {
+      cursor: ew-resize;
+    }
+
+    .window-manager-split[data-direction="vertical"] > .window-manager-split-divider {
+      cursor: ns-resize;
+    }
+
+    .window-manager-dialog-pane {
+      display: flex;
+      flex-direction: column;
+      min-width: 0;
+      min-height: 0;
+      overflow: hidden;
+    }
+
+    .window-manager-dialog-pane > .window-manager-tabs-strip {
+      flex: 0 0 auto;
+      background: var(--wm-surface-raised, var(--gray13, #696969));
+      padding: 4px 4px 0 4px;
+    }
+
+    .window-manager-dialog-pane.window-manager-pane-active > .window-manager-tabs-strip {
+      box-shadow: inset 0 2px 0 var(--wm-accent, var(--turquoise, #29f3d0));
+    }
+
+    .window-manager-pane-content {
+      flex: 1;
+      overflow: hidden;
+      position: relative;
+    }
+
     .window-manager-minimized-dock {
       position: fixed;
       bottom: 0px;
@@ -2101,7 +7350,7 @@ function addDialogStyles() {
       padding: 6px 12px 0px 12px;
       background: rgba(var(--gray4-raw, 31, 31, 31), 0.3);
       // border-right: 1px solid var(--turquoise, #29f3d0);
-      border-bottom: 2px solid var(--turquoise, #29f3d0);
+      border-bottom: 2px solid var(--wm-accent, var(--turquoise, #29f3d0));
       backdrop-filter: blur(10px);
       border-radius: 4px 0 0 0;
     }
@@ -2110,11 +7359,11 @@ function addDialogStyles() {
       margin-bottom: -2px;
       border-radius: 2px 2px 0 0;
       padding: 10px 14px;
-      background: var(--gray11, #575757);
-      border-bottom: 2px solid var(--turquoise, #29f3d0);
-      color: var(--gray29, #e8e8e8);
+      background: var(--wm-surface, var(--gray11, #575757));
+      border-bottom: 2px solid var(--wm-accent, var(--turquoise, #29f3d0));
+      color: var(--wm-text-strong, var(--gray29, #e8e8e8));
       cursor: pointer;
-      font-size: 13px;
+      font-size: var(--wm-tab-font-size, 13px);
       font-weight: 500;
       box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
       transition: all 0.2s;
@@ -2123,9 +7372,9 @@ function addDialogStyles() {
     }
 
     .window-manager-dock-item:hover {
-      background: var(--gray13, #404040);
+      background: var(--wm-surface-hover, var(--gray13, #404040));
       filter: brightness(1.1);
-      border-bottom: 4px solid var(--turquoise, #29f3d0);
+      border-bottom: 4px solid var(--wm-accent, var(--turquoise, #29f3d0));
       margin-top: -2px;
       box-shadow: 0 6px 16px rgba(0, 0, 0, 0.5);
     }
@@ -2149,7 +7398,7 @@ function addDialogStyles() {
       top: 0;
       bottom: 0;
       width: 3px;
-      background: var(--turquoise, #29f3d0);
+      background: var(--wm-accent, var(--turquoise, #29f3d0));
       border-radius: 2px;
       animation: window-manager-pulse-indicator 0.6s ease-in-out infinite;
     }
@@ -2161,10 +7410,120 @@ function addDialogStyles() {
       top: 0;
       bottom: 0;
       width: 3px;
-      background: var(--turquoise, #29f3d0);
+      background: var(--wm-accent, var(--turquoise, #29f3d0));
       border-radius: 2px;
       animation: window-manager-pulse-indicator 0.6s ease-in-out infinite;
     }
+
+    .window-manager-dialog-tab.window-manager-tab-pinned .window-manager-tab-close,
+    .window-manager-dialog-tab.window-manager-tab-icon-only .window-manager-tab-popout,
+    .window-manager-tab-icon-only .window-manager-tab-title > :not(.window-manager-icon):not(.window-manager-dirty-marker) {
+      display: none;
+    }
+
+    .window-manager-tab-icon-only .window-manager-tab-title {
+      margin: 0 2px;
+    }
+
+    .window-manager-tab-icon-only .window-manager-icon {
+      margin-right: 0;
+    }
+
+    .window-manager-dialog-tab.window-manager-tab-preview .window-manager-title-text {
+      font-style: italic;
+    }
+
+    .window-manager-context-menu {
+      position: fixed;
+      min-width: 180px;
+      padding: 4px 0;
+      background: var(--wm-surface-raised, var(--gray13, #696969));
+      border: 1px solid var(--wm-border, var(--gray9, #474747));
+      border-radius: var(--wm-radius, 4px);
+      box-shadow: var(--wm-shadow, 0 10px 40px rgba(0, 0, 0, 0.5));
+      font-size: var(--wm-tab-font-size, 13px);
+      user-select: none;
+    }
+
+    .window-manager-menu-item {
+      display: block;
+      width: 100%;
+      padding: 6px 24px 6px 12px;
+      background: transparent;
+      border: none;
+      color: var(--wm-text-strong, var(--gray29, #e8e8e8));
+      font: inherit;
+      text-align: left;
+      white-space: nowrap;
+      cursor: pointer;
+    }
+
+    .window-manager-menu-item:hover:not(:disabled),
+    .window-manager-menu-item:focus-visible {
+      background: var(--wm-surface-hover, var(--gray9, #474747));
+      color: var(--wm-accent, var(--turquoise, #29f3d0));
+      outline: none;
+    }
+
+    .window-manager-menu-item:disabled {
+      color: var(--wm-text-muted, var(--gray18, #8f8f8f));
+      cursor: default;
+    }
+
+    .window-manager-menu-item[aria-checked="true"]::before {
+      content: '✓';
+      position: absolute;
+      left: 8px;
+    }
+
+    .window-manager-menu-item[aria-checked] {
+      position: relative;
+      padding-left: 26px;
+    }
+
+    .window-manager-menu-search {
+      display: block;
+      box-sizing: border-box;
+      width: calc(100% - 8px);
+      margin: 0 4px 4px 4px;
+      padding: 4px 8px;
+      background: var(--wm-surface-sunken, var(--gray7, #383838));
+      border: 1px solid var(--wm-border, var(--gray9, #474747));
+      border-radius: 3px;
+      color: var(--wm-text-strong, var(--gray29, #e8e8e8));
+      font: inherit;
+    }
+
+    .window-manager-menu-search:focus {
+      outline: 1px solid var(--wm-accent, var(--turquoise, #29f3d0));
+    }
+
+    .window-manager-menu-separator {
+      height: 1px;
+      margin: 4px 0;
+      background: var(--wm-border, var(--gray9, #474747));
+    }
+
+    .window-manager-menu-submenu {
+      position: relative;
+    }
+
+    .window-manager-menu-submenu > .window-manager-menu-item::after {
+      content: '▸';
+      position: absolute;
+      right: 10px;
+    }
+
+    .window-manager-menu-submenu > .window-manager-context-menu {
+      display: none;
+      position: absolute;
+      top: -5px;
+      left: 100%;
+    }
+
+    .window-manager-menu-submenu.open > .window-manager-context-menu {
+      display: block;
+    }
   `;
 
   document.head.appendChild(style);